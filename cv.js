@@ -0,0 +1,48 @@
+// Printable CV view (cv.html): renders the CV from the same content, profile and render.js
+// templates as the site. "Save as PDF" opens the browser's print dialog; the print layout
+// lives in styles.css (`body.cv-view`, `@media print`).
+const { resolveKey, prepareStrings, cvHref, cvHtml, mergeContent, pageTitle, loadLanguageContent } = window.PortfolioRender
+
+async function loadJson(path) {
+  try {
+    const res = await fetch(path, { cache: 'no-cache' })
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    return await res.json()
+  } catch (err) {
+    console.warn('Failed to load', path, err)
+    return null
+  }
+}
+
+// `?lang=` (set by the site's CV link) wins, then the stored preference. Languages load like on
+// the site, so with settings.jsonResume the CV shows resume.<lang>.json too.
+async function loadCv() {
+  const settings = { defaultLanguage: 'en', ...(await loadJson('settings.json') || {}) }
+  const requested = new URLSearchParams(window.location.search).get('lang') || localStorage.getItem('lang') || settings.defaultLanguage
+  const base = await loadLanguageContent(settings.defaultLanguage, settings, loadJson) || {}
+  const own = requested === settings.defaultLanguage ? null : await loadLanguageContent(requested, settings, loadJson)
+  const lang = own ? requested : settings.defaultLanguage
+  const content = own ? mergeContent(base, own).content : base
+  const profile = await loadJson('profile.json') || {}
+  return { lang, strings: prepareStrings(content, profile), profile }
+}
+
+async function initCv() {
+  const { lang, strings, profile } = await loadCv()
+  document.documentElement.lang = lang
+  document.getElementById('cv').innerHTML = cvHtml(strings, profile, lang)
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    const value = resolveKey(strings, el.getAttribute('data-i18n'))
+    if (value) el.textContent = value
+  })
+  const title = resolveKey(strings, 'cv.title') || pageTitle(strings, profile)
+  if (title) document.title = title
+  document.getElementById('cvBack').setAttribute('href', `./?lang=${encodeURIComponent(lang)}`)
+  const pdf = document.getElementById('cvPdf')
+  const href = cvHref(strings, profile, lang)
+  if (href) pdf.setAttribute('href', href)
+  else pdf.classList.add('hidden')
+  document.getElementById('cvPrint').addEventListener('click', () => window.print())
+}
+
+document.addEventListener('DOMContentLoaded', initCv)
@@ -0,0 +1,369 @@
+// In-browser content editor (`?edit=1`, opened by initEditor in script.js): forms for the hero,
+// about, projects, skills, experience, education and languages content of every language, side
+// by side. The fields follow schemas/content.schema.json and every change is checked with
+// scripts/lib/json-schema.js the way scripts/validate-content.js checks the files. The page is
+// the live preview (script.js renders the edited content through render.js). Edits are kept as
+// drafts in localStorage and leave the browser only as downloaded or copied JSON files.
+;(function (root, factory) {
+  root.PortfolioEditor = factory(root.PortfolioRender, root.PortfolioSchema)
+})(typeof self !== 'undefined' ? self : this, function (R, Schema) {
+  const DRAFT_PREFIX = 'contentDraft:'
+  // page sections the editor covers and the content keys behind them
+  const GROUPS = [
+    { label: 'Hero', keys: ['name', 'subtitle', 'hero_title', 'hero_subtitle', 'download_cv_text'] },
+    { label: 'About', keys: ['about_title', 'about_text'] },
+    { label: 'Projects', keys: ['projects_title', 'projects'] },
+    { label: 'Skills', keys: ['skills_title', 'skills'] },
+    { label: 'Experience', keys: ['experience_title', 'experience'] },
+    { label: 'Education', keys: ['education_title', 'education'] },
+    { label: 'Languages', keys: ['languages_title', 'languages'] }
+  ]
+  // texts edited in a textarea
+  const LONG_TEXT_RE = /(description|_text|hero_title|hero_subtitle)$/
+  // first of these an array item has names it in the list
+  const ITEM_LABEL_KEYS = ['title', 'name', 'role', 'school', 'language', 'caption', 'label']
+  const PREVIEW_DELAY = 250
+  // same layout as the files in content/
+  const INDENT = 4
+
+  let options = null
+  let schema = null
+  const originals = {}
+  const files = {}
+  // <details> left open, so re-rendering a column after adding or moving an item keeps its place
+  const openPanels = new Set()
+  let previewLang = ''
+  let previewTimer = null
+  let panel = null
+
+  function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag)
+    Object.keys(attrs).forEach(k => {
+      if (k === 'text') node.textContent = attrs[k]
+      else if (attrs[k] !== undefined && attrs[k] !== false) node.setAttribute(k, attrs[k] === true ? '' : attrs[k])
+    })
+    children.filter(Boolean).forEach(c => node.appendChild(c))
+    return node
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value))
+  }
+
+  function resolve(s) {
+    if (s && s.$ref) return resolve(s.$ref.slice(2).split('/').reduce((cur, part) => cur && cur[part], schema))
+    return s || {}
+  }
+
+  // Path as the validator reports it: projects[0].title
+  function pathString(path) {
+    return path.reduce((at, k) => typeof k === 'number' ? `${at}[${k}]` : (at ? `${at}.${k}` : k), '')
+  }
+
+  function getIn(obj, path) {
+    return path.reduce((cur, k) => (cur === undefined || cur === null ? undefined : cur[k]), obj)
+  }
+
+  // `undefined` removes the key, so cleared optional fields don't linger as ""
+  function setIn(obj, path, value) {
+    const parent = getIn(obj, path.slice(0, -1))
+    const key = path[path.length - 1]
+    if (value === undefined) delete parent[key]
+    else parent[key] = value
+  }
+
+  // --- Drafts --------------------------------------------------------------
+  function draftKey(lang) {
+    return `${DRAFT_PREFIX}${lang}`
+  }
+
+  function loadDraft(lang) {
+    try {
+      return JSON.parse(localStorage.getItem(draftKey(lang)) || 'null')
+    } catch (err) {
+      return null
+    }
+  }
+
+  function saveDraft(lang) {
+    try {
+      localStorage.setItem(draftKey(lang), JSON.stringify(files[lang]))
+    } catch (err) {
+      console.warn('Draft not saved', lang, err)
+    }
+  }
+
+  function discardDraft(lang) {
+    localStorage.removeItem(draftKey(lang))
+    files[lang] = clone(originals[lang])
+    renderColumn(lang)
+    schedulePreview()
+  }
+
+  // --- Validation ----------------------------------------------------------
+  // Other languages inherit missing keys from the default one, so like the content checker the
+  // schema sees the merged content
+  function validateLang(lang) {
+    const base = files[options.defaultLanguage]
+    const content = lang === options.defaultLanguage || !base ? files[lang] : R.mergeContent(base, files[lang]).content
+    return Schema.validate(content, schema)
+  }
+
+  function showErrors(lang) {
+    const col = column(lang)
+    if (!col) return
+    const errors = validateLang(lang)
+    col.querySelectorAll('[aria-invalid]').forEach(c => { c.removeAttribute('aria-invalid'); c.removeAttribute('title') })
+    const list = col.querySelector('.editor-errors')
+    list.innerHTML = ''
+    errors.forEach(e => {
+      const control = col.querySelector(`[data-path="${e.path}"]`)
+      if (control) { control.setAttribute('aria-invalid', 'true'); control.setAttribute('title', e.message) }
+      const link = el('button', { type: 'button', class: 'editor-error-path', text: e.path })
+      link.addEventListener('click', () => focusControl(control))
+      list.appendChild(el('li', {}, [link, document.createTextNode(` ${e.message}`)]))
+    })
+    const status = col.querySelector('.editor-status')
+    if (status) status.textContent = errors.length ? `${errors.length} error${errors.length === 1 ? '' : 's'}` : 'Valid'
+    col.classList.toggle('has-errors', errors.length > 0)
+  }
+
+  function focusControl(control) {
+    if (!control) return
+    for (let d = control.closest('details'); d; d = d.parentElement.closest('details')) d.open = true
+    control.focus()
+  }
+
+  // --- Export --------------------------------------------------------------
+  function fileText(lang) {
+    return `${JSON.stringify(files[lang], null, INDENT)}\n`
+  }
+
+  function download(lang) {
+    const blobUrl = URL.createObjectURL(new Blob([fileText(lang)], { type: 'application/json' }))
+    const temp = document.createElement('a')
+    temp.href = blobUrl
+    temp.setAttribute('download', `${lang}.json`)
+    document.body.appendChild(temp)
+    temp.click()
+    document.body.removeChild(temp)
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000)
+  }
+
+  // --- Changes -------------------------------------------------------------
+  function schedulePreview() {
+    clearTimeout(previewTimer)
+    previewTimer = setTimeout(() => options.preview(previewLang, files), PREVIEW_DELAY)
+  }
+
+  // A value edit only revalidates; adding, moving or removing items rebuilds the column
+  function changed(lang, structural) {
+    saveDraft(lang)
+    if (structural) renderColumn(lang)
+    else {
+      showErrors(lang)
+      const badge = column(lang).querySelector('.editor-draft')
+      if (badge) badge.hidden = false
+    }
+    // the default language shows through in every other one
+    if (lang === options.defaultLanguage) options.languages.filter(l => l !== lang).forEach(showErrors)
+    schedulePreview()
+  }
+
+  function readControl(control, s, required) {
+    if (control.type === 'checkbox') return control.checked
+    const text = control.value
+    if (s.type === 'array') {
+      const items = text.split(',').map(t => t.trim()).filter(Boolean)
+      return items.length || required ? items : undefined
+    }
+    if (control.classList.contains('editor-json')) return text.trim() ? JSON.parse(text) : undefined
+    return text === '' && !required ? undefined : text
+  }
+
+  // --- Forms ---------------------------------------------------------------
+  function column(lang) {
+    return panel && panel.querySelector(`.editor-column[data-lang="${lang}"]`)
+  }
+
+  function rememberOpen(details, key) {
+    details.open = openPanels.has(key)
+    details.addEventListener('toggle', () => { if (details.open) openPanels.add(key); else openPanels.delete(key) })
+    return details
+  }
+
+  // One control for the value at `path` of the language's file
+  function field(lang, path, s, value, required) {
+    s = resolve(s)
+    if (s.type === 'array' && resolve(s.items).type === 'object') return listField(lang, path, s, value)
+    const key = path[path.length - 1]
+    const id = `edit-${lang}-${pathString(path).replace(/[^\w-]+/g, '-')}`
+    let control
+    if (s.enum) {
+      control = el('select', { id }, [''].concat(s.enum).map(v => el('option', { value: v, text: v })))
+      control.value = value === undefined ? '' : value
+    } else if (s.type === 'boolean') {
+      control = el('input', { id, type: 'checkbox' })
+      control.checked = !!value
+    } else if (s.type === 'array') {
+      control = el('input', { id, type: 'text', placeholder: 'comma, separated' })
+      control.value = Array.isArray(value) ? value.join(', ') : ''
+    } else if ((s.type && s.type !== 'string') || s.properties) {
+      // anything without a dedicated control is edited as JSON
+      control = el('textarea', { id, rows: 3, class: 'editor-json' })
+      control.value = value === undefined ? '' : JSON.stringify(value, null, 2)
+    } else {
+      const long = LONG_TEXT_RE.test(key) || String(value || '').length > 80
+      control = long ? el('textarea', { id, rows: 4 }) : el('input', { id, type: 'text' })
+      control.value = value === undefined || value === null ? '' : String(value)
+    }
+    control.setAttribute('data-path', pathString(path))
+    const event = control.tagName === 'SELECT' || control.type === 'checkbox' ? 'change' : 'input'
+    control.addEventListener(event, () => {
+      let next
+      try {
+        next = readControl(control, s, required)
+      } catch (err) {
+        control.setAttribute('aria-invalid', 'true')
+        control.setAttribute('title', err.message)
+        return
+      }
+      setIn(files[lang], path, next)
+      changed(lang, false)
+    })
+    return el('div', { class: `editor-field${control.type === 'checkbox' ? ' editor-check' : ''}` }, [
+      el('label', { for: id, text: `${key}${required ? ' *' : ''}`, title: s.description }),
+      control
+    ])
+  }
+
+  function tool(text, label, onClick) {
+    const btn = el('button', { type: 'button', class: 'editor-tool', title: label, 'aria-label': label, text, disabled: !onClick })
+    if (onClick) btn.addEventListener('click', (e) => { e.preventDefault(); onClick() })
+    return btn
+  }
+
+  function moveItem(lang, path, by) {
+    const list = getIn(files[lang], path.slice(0, -1))
+    const idx = path[path.length - 1]
+    list.splice(idx + by, 0, list.splice(idx, 1)[0])
+    changed(lang, true)
+  }
+
+  function removeItem(lang, path) {
+    getIn(files[lang], path.slice(0, -1)).splice(path[path.length - 1], 1)
+    changed(lang, true)
+  }
+
+  // Array of objects (projects, skills, media, links, ...): one collapsible item each
+  function listField(lang, path, s, value) {
+    const itemSchema = resolve(s.items)
+    const items = Array.isArray(value) ? value : []
+    const key = path[path.length - 1]
+    const box = el('fieldset', { class: 'editor-list' }, [el('legend', { text: key })])
+    items.forEach((item, idx) => {
+      const itemPath = path.concat(idx)
+      const label = ITEM_LABEL_KEYS.map(k => item && item[k]).find(v => typeof v === 'string' && v) || `#${idx + 1}`
+      const summary = el('summary', {}, [
+        el('span', { class: 'editor-item-label', text: label }),
+        tool('↑', 'Move up', idx > 0 && (() => moveItem(lang, itemPath, -1))),
+        tool('↓', 'Move down', idx < items.length - 1 && (() => moveItem(lang, itemPath, 1))),
+        tool('✕', 'Remove', () => removeItem(lang, itemPath))
+      ])
+      const details = rememberOpen(el('details', { class: 'editor-item' }, [summary]), `${lang}:${pathString(itemPath)}`)
+      const required = itemSchema.required || []
+      Object.keys(itemSchema.properties || {}).forEach(k => {
+        details.appendChild(field(lang, itemPath.concat(k), itemSchema.properties[k], item && item[k], required.includes(k)))
+      })
+      box.appendChild(details)
+    })
+    const add = el('button', { type: 'button', class: 'editor-add', text: `Add to ${key}` })
+    add.addEventListener('click', () => {
+      if (!Array.isArray(getIn(files[lang], path))) setIn(files[lang], path, [])
+      const blank = {}
+      ;(itemSchema.required || []).forEach(k => { blank[k] = '' })
+      const list = getIn(files[lang], path)
+      list.push(blank)
+      openPanels.add(`${lang}:${pathString(path.concat(list.length - 1))}`)
+      changed(lang, true)
+    })
+    box.appendChild(add)
+    return box
+  }
+
+  function renderColumn(lang) {
+    const col = column(lang)
+    if (!col) return
+    col.innerHTML = ''
+    const preview = el('input', { type: 'radio', name: 'editor-preview', value: lang, checked: lang === previewLang })
+    preview.addEventListener('change', () => { previewLang = lang; schedulePreview() })
+    const draft = el('span', { class: 'editor-draft', text: 'Draft' })
+    draft.hidden = !loadDraft(lang)
+    const downloadBtn = el('button', { type: 'button', text: `Download ${lang}.json` })
+    downloadBtn.addEventListener('click', () => download(lang))
+    const copyBtn = el('button', { type: 'button', text: 'Copy JSON' })
+    copyBtn.addEventListener('click', async () => {
+      copyBtn.textContent = (await options.copy(fileText(lang))) ? 'Copied' : 'Copy failed'
+      setTimeout(() => { copyBtn.textContent = 'Copy JSON' }, 2000)
+    })
+    const discardBtn = el('button', { type: 'button', text: 'Discard draft' })
+    discardBtn.addEventListener('click', () => discardDraft(lang))
+    col.appendChild(el('header', { class: 'editor-column-head' }, [
+      el('h3', { text: `content/${lang}.json` }),
+      draft,
+      el('label', { class: 'editor-preview' }, [preview, document.createTextNode(' Preview')]),
+      el('p', { class: 'editor-status', 'aria-live': 'polite' }),
+      el('div', { class: 'editor-actions' }, [downloadBtn, copyBtn, discardBtn])
+    ]))
+    col.appendChild(el('ul', { class: 'editor-errors' }))
+    const required = schema.required || []
+    GROUPS.forEach(group => {
+      const details = rememberOpen(el('details', { class: 'editor-group' }, [el('summary', { text: group.label })]), `${lang}:${group.label}`)
+      group.keys.forEach(k => details.appendChild(field(lang, [k], (schema.properties || {})[k] || { type: 'string' }, files[lang][k], required.includes(k))))
+      col.appendChild(details)
+    })
+    showErrors(lang)
+  }
+
+  function renderPanel() {
+    const close = el('button', { type: 'button', class: 'editor-close', text: 'Close editor' })
+    close.addEventListener('click', () => {
+      const params = new URLSearchParams(window.location.search)
+      params.delete('edit')
+      const query = params.toString()
+      window.location.href = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`
+    })
+    panel = el('aside', { class: 'editor-panel', 'aria-label': 'Content editor' }, [
+      el('header', { class: 'editor-head' }, [
+        el('h2', { text: 'Content editor' }),
+        el('p', { class: 'editor-note', text: 'Edits stay in this browser as drafts. Download the files and commit them to publish.' }),
+        close
+      ]),
+      el('div', { class: 'editor-columns' }, options.languages.map(lang => el('section', { class: 'editor-column', 'data-lang': lang })))
+    ])
+    document.body.appendChild(panel)
+    document.body.classList.add('editing')
+    options.languages.forEach(renderColumn)
+  }
+
+  // options: { languages, defaultLanguage, lang, load(path), preview(lang, files), copy(text) }
+  async function open(opts) {
+    options = opts
+    schema = await options.load('schemas/content.schema.json')
+    if (!schema) {
+      console.warn('Content editor: schemas/content.schema.json could not be loaded')
+      return
+    }
+    options.languages.forEach(lang => openPanels.add(`${lang}:${GROUPS[0].label}`))
+    for (const lang of options.languages) {
+      originals[lang] = (await options.load(`content/${lang}.json`)) || {}
+      files[lang] = loadDraft(lang) || clone(originals[lang])
+    }
+    previewLang = options.lang
+    renderPanel()
+    // restored drafts show on the page right away
+    if (options.languages.some(lang => loadDraft(lang))) schedulePreview()
+  }
+
+  return { open }
+})
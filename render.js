@@ -0,0 +1,988 @@
+// Shared, DOM-free render helpers. The browser loads this file before script.js (exposed as
+// `window.PortfolioRender`); scripts/build.js requires it to pre-render every language with the
+// exact same markup, so a section only has to be written once.
+;(function (root, factory) {
+  const api = factory()
+  if (typeof module === 'object' && module.exports) module.exports = api
+  else root.PortfolioRender = api
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FALLBACK_AVATAR = 'https://avatars.githubusercontent.com/u/149014250'
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  }
+
+  // Only http(s), mailto, tel and relative URLs are rendered as links; anything else
+  // (javascript:, data:, ...) is dropped. Control characters and spaces are ignored the way
+  // browsers ignore them when reading the scheme.
+  function safeUrl(url) {
+    const value = String(url == null ? '' : url).trim()
+    const probe = value.replace(/[\u0000-\u0020]/g, '')
+    if (!probe) return ''
+    const scheme = probe.match(/^([a-z][\w+.-]*):/i)
+    if (scheme && !/^(https?|mailto|tel)$/i.test(scheme[1])) return ''
+    return value
+  }
+
+  function linkHtml(href, label) {
+    const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : ''
+    return `<a href="${escapeHtml(href)}"${external}>${label}</a>`
+  }
+
+  // **bold** on already escaped text
+  function emphasisHtml(text) {
+    return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+  }
+
+  // [label](url) and **bold**; links with an unsafe URL keep only their label
+  function inlineMarkdown(text) {
+    let html = ''
+    let last = 0
+    for (const m of String(text).matchAll(/\[([^\]]+)\]\(([^)\s]+)\)/g)) {
+      html += emphasisHtml(text.slice(last, m.index))
+      const href = safeUrl(m[2])
+      html += href ? linkHtml(href, emphasisHtml(m[1])) : emphasisHtml(m[1])
+      last = m.index + m[0].length
+    }
+    return html + emphasisHtml(text.slice(last))
+  }
+
+  // Restricted Markdown for descriptions: paragraphs (blank line), `- ` / `* ` bullet lists,
+  // **bold** and [links](https://...). Everything else is escaped, never interpreted as HTML.
+  function renderMarkdown(text) {
+    const blocks = []
+    let paragraph = []
+    let list = []
+    const flushParagraph = () => { if (paragraph.length) blocks.push(`<p>${inlineMarkdown(paragraph.join(' '))}</p>`); paragraph = [] }
+    const flushList = () => { if (list.length) blocks.push(`<ul>${list.map(i => `<li>${inlineMarkdown(i)}</li>`).join('')}</ul>`); list = [] }
+    String(text == null ? '' : text).split(/\r?\n/).forEach(line => {
+      const item = line.match(/^\s*[-*]\s+(.*)$/)
+      if (item) { flushParagraph(); list.push(item[1]); return }
+      flushList()
+      if (line.trim()) paragraph.push(line.trim())
+      else flushParagraph()
+    })
+    flushParagraph()
+    flushList()
+    return blocks.join('')
+  }
+
+  // resolve nested keys like 'contact.contact_title'
+  function resolveKey(strings, key) {
+    if (!key) return ''
+    let cur = strings
+    for (const p of key.split('.')) { if (cur && typeof cur[p] !== 'undefined') { cur = cur[p] } else { cur = undefined; break } }
+    if (typeof cur === 'string') return cur
+    return (strings && typeof strings[key] === 'string') ? strings[key] : ''
+  }
+
+  // true when `key` (dotted path) exists as a string, even an empty one
+  function hasKey(strings, key) {
+    let cur = strings
+    for (const part of String(key || '').split('.')) {
+      if (!cur || typeof cur !== 'object' || !(part in cur)) return false
+      cur = cur[part]
+    }
+    return typeof cur === 'string'
+  }
+
+  function replacePlaceholders(obj, profile) {
+    if (!obj) return obj
+    if (typeof obj === 'string') {
+      return obj.replace(/{{\s*([^}]+)\s*}}/g, (_, k) => {
+        const key = k.trim()
+        switch (key) {
+          case 'full_name_from_external_file': return profile.fullName || ''
+          case 'email_from_external_file': return profile.email || ''
+          case 'phone_from_external_file': return profile.phone || ''
+          default: return profile[key] || ''
+        }
+      })
+    }
+    if (Array.isArray(obj)) {
+      return obj.map(v => replacePlaceholders(v, profile))
+    }
+    if (typeof obj === 'object') {
+      const out = {}
+      for (const k in obj) { out[k] = replacePlaceholders(obj[k], profile) }
+      return out
+    }
+    return obj
+  }
+
+  // Deep-merge `override` (selected language) over `base` (default language) so untranslated
+  // keys inherit the default text. Arrays holding projects are matched by project_id, other
+  // arrays are taken whole; empty strings count as missing. Returns the merged content plus the
+  // key paths (e.g. 'about_text', 'projects[kronos_live].title') that fell back to `base`.
+  function mergeContent(base, override) {
+    const fallbacks = []
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v)
+    const isMissing = v => v === undefined || v === null || v === '' || (Array.isArray(v) && !v.length)
+    const join = (at, k) => at ? `${at}.${k}` : k
+    function merge(b, o, at) {
+      if (isMissing(o)) {
+        if (!isMissing(b)) fallbacks.push(at)
+        // a key the override lacks keeps the base's (empty) value
+        return isMissing(b) && o !== undefined ? o : b
+      }
+      if (isObject(b) && isObject(o)) {
+        const out = {}
+        new Set([...Object.keys(b), ...Object.keys(o)]).forEach(k => { out[k] = merge(b[k], o[k], join(at, k)) })
+        return out
+      }
+      if (Array.isArray(b) && Array.isArray(o) && b.some(x => x && x.project_id)) {
+        const byId = new Map(o.filter(x => x && x.project_id).map(x => [x.project_id, x]))
+        const out = b.map(x => merge(x, x && byId.get(x.project_id), `${at}[${x && x.project_id}]`))
+        o.forEach(x => { if (!x || !b.some(y => y && y.project_id === x.project_id)) out.push(x) })
+        return out
+      }
+      return o
+    }
+    return { content: merge(base || {}, override || {}, ''), fallbacks }
+  }
+
+  // Substitute profile placeholders and fill the alias keys older content files rely on
+  function prepareStrings(content, profile) {
+    const strings = replacePlaceholders(content || {}, profile || {})
+    // fallback alias: some content uses download_cv_text, template uses download_cv
+    if (!strings.download_cv && strings.download_cv_text) strings.download_cv = strings.download_cv_text
+    if (!strings.name && profile && profile.fullName) strings.name = profile.fullName
+    return strings
+  }
+
+  // Name of the PDF scripts/build-cv.js writes for a language: files/<Full_Name>_CV_<LANG>.pdf
+  function cvFileName(profile, lang) {
+    const name = String((profile && profile.fullName) || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+    return name && lang ? `${name}_CV_${String(lang).toUpperCase()}.pdf` : ''
+  }
+
+  // content-provided CV links win, then the generated PDF of the language, then profile.cvFile
+  function cvHref(strings, profile, lang) {
+    if (strings.download_cv_links && strings.download_cv_links[lang]) return strings.download_cv_links[lang]
+    const generated = cvFileName(profile, lang)
+    if (generated) return `files/${generated}`
+    return (profile && profile.cvFile) || ''
+  }
+
+  function profilePhoto(strings, profile) {
+    return strings.profile_photo || (profile && profile.profile_photo) || FALLBACK_AVATAR
+  }
+
+  // Document title for a language; content may override it with `page_title`
+  function pageTitle(strings, profile) {
+    if (strings && strings.page_title) return strings.page_title
+    return profile && profile.fullName ? `${profile.fullName} — Portfolio` : ''
+  }
+
+  // CSS for the named palettes of settings.json: each palette overrides custom properties
+  // (`--bg`, `--accent`, ...) for the dark and/or light theme while :root[data-palette] names it.
+  // Names or values that could break out of the rule are skipped.
+  function paletteCss(palettes) {
+    const rule = (selector, vars) => {
+      const decls = Object.keys(vars || {})
+        .filter(k => /^--[\w-]+$/.test(k) && typeof vars[k] === 'string' && !/[;{}<>]/.test(vars[k]))
+        .map(k => `${k}: ${vars[k]}`)
+      return decls.length ? `${selector} { ${decls.join('; ')} }` : ''
+    }
+    return Object.keys(palettes || {})
+      .filter(name => /^[\w-]+$/.test(name))
+      .flatMap(name => [
+        rule(`:root:not(.light)[data-palette="${name}"]`, palettes[name].dark),
+        rule(`:root.light[data-palette="${name}"]`, palettes[name].light)
+      ])
+      .filter(Boolean)
+      .join('\n')
+  }
+
+  // Flag buttons for the `.lang-switch`, one per entry of settings.languages
+  function languageSwitchHtml(languages, current) {
+    return (languages || []).map(l => {
+      const label = escapeHtml(l.label || l.code)
+      return `<button class="lang-btn" data-lang="${escapeHtml(l.code)}" lang="${escapeHtml(l.code)}" aria-pressed="${l.code === current ? 'true' : 'false'}" aria-label="${label}" title="${label}">${escapeHtml(l.flag || String(l.code).toUpperCase())}</button>`
+    }).join('')
+  }
+
+  // Stable id used for cards, routes and the media lookup
+  function projectIdOf(p, idx) {
+    return p.project_id || p.id || `p${idx}`
+  }
+
+  // "owner/repo" of a GitHub repository URL (the key of repos.json), '' for anything else
+  function githubRepoKey(url) {
+    const m = /^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?(?:[?#].*)?$/i.exec(String(url || '').trim())
+    return m ? `${m[1]}/${m[2]}` : ''
+  }
+
+  // Stars, last push, languages and latest release from repos.json (scripts/fetch-repos.js).
+  // Cards are tabs and may not contain links, so they pass `linked` false and show the release as text.
+  function repoStatsHtml(stats, strings, lang, linked = true) {
+    const t = strings.repo_stats || {}
+    const items = [`<li class="repo-stars">★ ${escapeHtml(pluralize(t.stars, stats.stars || 0, lang) || String(stats.stars || 0))}</li>`]
+    const pushed = parseDate(String(stats.pushed_at || '').slice(0, 10))
+    if (pushed) items.push(`<li><time datetime="${escapeHtml(pushed.iso)}">${escapeHtml((t.updated || '{date}').replace('{date}', formatDate(pushed, lang)))}</time></li>`)
+    if (stats.languages && stats.languages.length) items.push(`<li class="repo-langs">${stats.languages.map(l => escapeHtml(l.name)).join(' · ')}</li>`)
+    const release = stats.release && safeUrl(stats.release.url)
+    if (release) {
+      const text = escapeHtml((t.release || '{tag}').replace('{tag}', stats.release.tag))
+      items.push(`<li>${linked ? linkHtml(release, text) : text}</li>`)
+    }
+    if (stats.archived && t.archived) items.push(`<li class="repo-archived">${escapeHtml(t.archived)}</li>`)
+    return `<ul class="repo-stats"${t.label ? ` aria-label="${escapeHtml(t.label)}"` : ''}>${items.join('')}</ul>`
+  }
+
+  // --- Images --------------------------------------------------------------
+  // Entry of images.json (scripts/build-images.js) for a local image: { width, height, srcset:
+  // { avif, webp }, placeholder } or { missing: true }; null when the image was never processed
+  function imageEntry(images, src) {
+    if (!images || !src) return null
+    return images[String(src).replace(/^\.?\//, '')] || null
+  }
+
+  // Stand-in for a missing image: the label's initials on a gradient whose hue comes from the label
+  function imageTileHtml(label, className = '') {
+    const text = String(label || '')
+    const initials = text.split(/[\s_-]+/).filter(w => /\w/.test(w)).slice(0, 2).map(w => w[0].toUpperCase()).join('')
+    const hue = Array.from(text).reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 360, 7)
+    const a11y = text ? `role="img" aria-label="${escapeHtml(text)}"` : 'aria-hidden="true"'
+    return `<span class="image-tile${className ? ` ${className}` : ''}" ${a11y} style="--tile-hue: ${hue}"><span aria-hidden="true">${escapeHtml(initials || '?')}</span></span>`
+  }
+
+  // <picture> with the AVIF/WebP srcsets of images.json, the intrinsic size (no layout shift) and
+  // the blurred placeholder behind the lazily loaded <img>; a missing file becomes a tile
+  function pictureHtml(src, alt, images, opts = {}) {
+    const entry = imageEntry(images, src)
+    if (!safeUrl(src) || (entry && entry.missing)) return imageTileHtml(alt, opts.className)
+    const sizes = opts.sizes || '100vw'
+    const srcset = (entry && entry.srcset) || {}
+    const sources = ['avif', 'webp'].filter(type => srcset[type])
+      .map(type => `<source type="image/${type}" srcset="${escapeHtml(srcset[type])}" sizes="${escapeHtml(sizes)}">`).join('')
+    const attrs = [`src="${escapeHtml(src)}"`, `alt="${escapeHtml(alt)}"`, 'loading="lazy"', 'decoding="async"']
+    if (opts.imgClass) attrs.push(`class="${escapeHtml(opts.imgClass)}"`)
+    if (entry && entry.width && entry.height) attrs.push(`width="${entry.width}" height="${entry.height}"`)
+    if (entry && entry.placeholder) attrs.push(`style="background-image: url('${escapeHtml(entry.placeholder)}')"`)
+    return `<picture${opts.className ? ` class="${escapeHtml(opts.className)}"` : ''}>${sources}<img ${attrs.join(' ')}></picture>`
+  }
+
+  // .profile-pic is 160px square, 120px on narrow screens (styles.css)
+  const PROFILE_IMAGE_SIZES = '(max-width: 760px) 120px, 160px'
+
+  // The profile card's photo as a <picture> with its images.json variants; a file missing at
+  // build time shows the avatar instead, like a photo that fails to load (renderHero in script.js)
+  function profilePictureHtml(strings, profile, images) {
+    const src = profilePhoto(strings, profile)
+    const entry = imageEntry(images, src)
+    const alt = (profile && profile.fullName) || 'Profile'
+    return pictureHtml(entry && entry.missing ? FALLBACK_AVATAR : src, alt, images, { className: 'profile-photo', imgClass: 'profile-pic', sizes: PROFILE_IMAGE_SIZES })
+  }
+
+  // Tab of the selected project's panel (.showcase-wrapper, see selectProject in script.js);
+  // the first card starts selected, so it is the one in the tab order.
+  const SHOWCASE_ID = 'project-showcase'
+
+  function projectTabId(id) {
+    return `project-tab-${id}`
+  }
+
+  // one column on phones, otherwise roughly the width of a card in .projects-grid
+  const CARD_IMAGE_SIZES = '(max-width: 600px) 100vw, 320px'
+
+  // `repos` is the repos.json map; cards without a known GitHub repo_link get no stats.
+  // `images` is the images.json map for the thumbnail's variants
+  function projectCardHtml(p, idx, strings, lang, repos, images) {
+    const id = projectIdOf(p, idx)
+    const attrs = { class: 'project-card', id: projectTabId(id), role: 'tab', 'aria-selected': idx === 0 ? 'true' : 'false', 'aria-controls': SHOWCASE_ID, tabindex: idx === 0 ? '0' : '-1' }
+    // media and the demo link are looked up by data-project-id (see projectMedia in script.js)
+    attrs['data-project-id'] = id
+    // set accessible title and long desc data attributes for the video area
+    const titleText = p.titleKey ? (strings[p.titleKey] || p.titleKey || 'Project') : (p.title || 'Project')
+    attrs['data-title'] = p.title || (p.titleKey ? strings[p.titleKey] || '' : '')
+    attrs['data-long'] = p.long_description || p.longDescription || ''
+    if (p.image) attrs['data-image'] = p.image
+    attrs['aria-label'] = titleText
+    const attrHtml = Object.keys(attrs).map(k => `${k}="${escapeHtml(attrs[k])}"`).join(' ')
+
+    const title = p.titleKey
+      ? `<h3 data-i18n="${escapeHtml(p.titleKey)}">${escapeHtml(titleText)}</h3>`
+      : `<h3>${escapeHtml(titleText)}</h3>`
+    const descText = p.descKey ? (strings[p.descKey] || p.descKey || '') : (p.short_description || '')
+    const desc = p.descKey
+      ? `<p data-i18n="${escapeHtml(p.descKey)}">${escapeHtml(descText)}</p>`
+      : `<p>${escapeHtml(descText)}</p>`
+    // optional role & technologies
+    const role = p.role ? `<div class="project-role">${escapeHtml(p.role)}</div>` : ''
+    const stats = repos && repos[githubRepoKey(p.repo_link)]
+    const repo = stats ? repoStatsHtml(stats, strings, lang, false) : ''
+    const thumb = p.image ? pictureHtml(p.image, p.image_alt || titleText, images, { className: 'project-thumb', sizes: CARD_IMAGE_SIZES }) : ''
+    return `<article ${attrHtml}>${thumb}${title}${desc}${role}${techChipsHtml(p.technologies, strings.skills, false)}${repo}</article>`
+  }
+
+  // Links of the selected project under the showcase title: tech chips pointing at their skill
+  // and the repository stats with the release link
+  function projectDetailsHtml(p, strings, lang, repos) {
+    const stats = repos && repos[githubRepoKey(p.repo_link)]
+    return techChipsHtml(p.technologies, strings.skills) + (stats ? repoStatsHtml(stats, strings, lang) : '')
+  }
+
+  // --- Skills --------------------------------------------------------------
+  const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert']
+
+  function slugify(text) {
+    return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  }
+
+  // Anchor id of a skill (`#skill-<id>`); `skill_id` keeps it stable when the name is translated
+  function skillIdOf(skill) {
+    return skill.skill_id || slugify(skill.name || skill)
+  }
+
+  // Project technologies a skill stands for: its `technologies` aliases, else its own name
+  function skillTechnologies(skill) {
+    return Array.isArray(skill.technologies) && skill.technologies.length ? skill.technologies : [skill.name || String(skill)]
+  }
+
+  // The most specific skill covering `tech` (fewest technologies), so a 'PyTorch' chip links to
+  // the PyTorch skill rather than a broad 'Machine Learning' one
+  function skillForTechnology(skills, tech) {
+    const wanted = String(tech).toLowerCase()
+    const covering = (skills || []).filter(s => s && skillTechnologies(s).some(t => t.toLowerCase() === wanted))
+    return covering.sort((a, b) => skillTechnologies(a).length - skillTechnologies(b).length)[0] || null
+  }
+
+  function projectsUsingSkill(projects, skill) {
+    const techs = skillTechnologies(skill).map(t => t.toLowerCase())
+    return (projects || []).filter(p => (p.technologies || []).some(t => techs.includes(t.toLowerCase())))
+  }
+
+  function skillLevelHtml(level, labels) {
+    const rank = SKILL_LEVELS.indexOf(level)
+    if (rank < 0) return ''
+    const segments = SKILL_LEVELS.map((l, i) => `<i${i <= rank ? ' class="on"' : ''}></i>`).join('')
+    return `<span class="skill-level" data-level="${level}"><span class="skill-meter" aria-hidden="true">${segments}</span>${escapeHtml((labels && labels[level]) || level)}</span>`
+  }
+
+  // A skill used by at least one project is a toggle button that filters the projects grid
+  function skillItemHtml(skill, strings) {
+    const view = strings.skills_view || {}
+    const id = skillIdOf(skill)
+    const inner = `<span class="skill-name">${escapeHtml(skill.name || skill)}</span>${skillLevelHtml(skill.level, view.levels)}`
+    const count = projectsUsingSkill(strings.projects, skill).length
+    const chip = count
+      ? `<button type="button" class="skills-chip" data-skill="${escapeHtml(id)}" aria-pressed="false" title="${escapeHtml(String(view.filter_hint || '').replace('{n}', count))}">${inner}</button>`
+      : `<span class="skills-chip">${inner}</span>`
+    return `<li class="skill-item" id="skill-${escapeHtml(id)}">${chip}</li>`
+  }
+
+  // Skills grouped by `category` in the order of skills_view.categories; uncategorized skills
+  // go last under the `other` label
+  function skillsHtml(strings) {
+    const skills = (strings.skills || []).map(s => typeof s === 'string' ? { name: s } : s)
+    const categories = (strings.skills_view && strings.skills_view.categories) || {}
+    const list = items => `<ul class="skill-items">${items.map(s => skillItemHtml(s, strings)).join('')}</ul>`
+    if (!skills.some(s => s.category)) return list(skills)
+    const order = Object.keys(categories).filter(c => c !== 'other')
+    const groups = new Map(order.map(c => [c, []]))
+    skills.forEach(s => {
+      const key = groups.has(s.category) ? s.category : 'other'
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(s)
+    })
+    return Array.from(groups).filter(([, items]) => items.length).map(([key, items]) =>
+      `<div class="skill-group" data-category="${escapeHtml(key)}"><h3 class="skill-group-title">${escapeHtml(categories[key] || key)}</h3>${list(items)}</div>`
+    ).join('')
+  }
+
+  // --- Timeline ------------------------------------------------------------
+  // Dates are 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD'; an end_date that is missing or not a date
+  // (e.g. 'present') marks an ongoing entry.
+  function parseDate(value) {
+    const m = String(value || '').trim().match(/^(\d{4})(?:-(\d{2}))?(?:-\d{2})?$/)
+    if (!m) return null
+    return { year: Number(m[1]), month: m[2] ? Number(m[2]) : 0, iso: m[0] }
+  }
+
+  function formatDate(date, lang) {
+    const options = date.month ? { year: 'numeric', month: 'short', timeZone: 'UTC' } : { year: 'numeric', timeZone: 'UTC' }
+    try {
+      return new Intl.DateTimeFormat(lang || undefined, options).format(new Date(Date.UTC(date.year, (date.month || 1) - 1, 1)))
+    } catch (err) {
+      return date.iso
+    }
+  }
+
+  // `forms` holds Intl.PluralRules categories, e.g. { "one": "{n} yr", "other": "{n} yrs" }
+  function pluralize(forms, n, lang) {
+    if (!forms || typeof forms !== 'object') return ''
+    let category = 'other'
+    try { category = new Intl.PluralRules(lang || undefined).select(n) } catch (err) {}
+    return String(forms[category] || forms.other || '').replace('{n}', n)
+  }
+
+  // Length of a date range in the precision of its coarsest end: whole years when either end
+  // is a bare year, otherwise years and months (both months counted)
+  function durationText(start, end, strings, lang) {
+    const t = strings.timeline || {}
+    if (!start.month || !end.month) {
+      const years = end.year - start.year
+      return years > 0 ? pluralize(t.years, years, lang) : ''
+    }
+    const months = (end.year - start.year) * 12 + end.month - start.month + 1
+    if (months <= 0) return ''
+    const parts = []
+    if (months >= 12) parts.push(pluralize(t.years, Math.floor(months / 12), lang))
+    if (months % 12) parts.push(pluralize(t.months, months % 12, lang))
+    return parts.filter(Boolean).join(' ')
+  }
+
+  function dateRangeHtml(entry, strings, lang, now) {
+    const t = strings.timeline || {}
+    const start = parseDate(entry.start_date)
+    if (!start) return entry.start_date ? `<span class="timeline-dates">${escapeHtml(entry.start_date)}</span>` : ''
+    const end = parseDate(entry.end_date)
+    const ongoing = !end
+    const today = now || new Date()
+    const until = end || { year: today.getUTCFullYear(), month: start.month ? today.getUTCMonth() + 1 : 0 }
+    const from = `<time datetime="${start.iso}">${escapeHtml(formatDate(start, lang))}</time>`
+    let range = from
+    if (ongoing) range += ` – ${escapeHtml(t.present || entry.end_date || '')}`
+    else if (end.iso !== start.iso) range += ` – <time datetime="${end.iso}">${escapeHtml(formatDate(end, lang))}</time>`
+    const duration = durationText(start, until, strings, lang)
+    return `<span class="timeline-dates">${range}</span>${duration ? `<span class="timeline-duration">${escapeHtml(duration)}</span>` : ''}`
+  }
+
+  // Chips of technologies covered by a skill link to it (`#skill-<id>`) when `skills` is given.
+  // With `linked` false (cards, which are tabs and may not contain links) they stay spans whose
+  // data-skill script.js follows on click.
+  function techChipsHtml(technologies, skills, linked = true) {
+    if (!Array.isArray(technologies) || !technologies.length) return ''
+    return `<div class="project-tech">${technologies.map(t => {
+      const skill = skills && skillForTechnology(skills, t)
+      if (!skill) return `<span class="tech-chip">${escapeHtml(t)}</span>`
+      const id = escapeHtml(skillIdOf(skill))
+      return linked
+        ? `<a class="tech-chip" href="#skill-${id}" data-skill="${id}">${escapeHtml(t)}</a>`
+        : `<span class="tech-chip" data-skill="${id}">${escapeHtml(t)}</span>`
+    }).join('')}</div>`
+  }
+
+  // links: [{ "label": "...", "url": "https://..." }]
+  function entryLinksHtml(links) {
+    const items = (Array.isArray(links) ? links : [])
+      .map(l => ({ href: safeUrl(l && l.url), label: (l && (l.label || l.url)) || '' }))
+      .filter(l => l.href)
+    if (!items.length) return ''
+    return `<ul class="timeline-links">${items.map(l => `<li>${linkHtml(l.href, escapeHtml(l.label))}</li>`).join('')}</ul>`
+  }
+
+  function timelineItemHtml(cls, title, org, entry, strings, lang, now) {
+    const meta = [org, entry.location].filter(Boolean).map(escapeHtml).join(' · ')
+    return `<li class="timeline-item ${cls}">` +
+      `<div class="timeline-meta">${dateRangeHtml(entry, strings, lang, now)}</div>` +
+      `<h3 class="timeline-title">${escapeHtml(title)}</h3>` +
+      (meta ? `<div class="timeline-org">${meta}</div>` : '') +
+      (entry.description ? `<div class="rich-text">${renderMarkdown(entry.description)}</div>` : '') +
+      techChipsHtml(entry.technologies) +
+      entryLinksHtml(entry.links) +
+      '</li>'
+  }
+
+  // `now` is only passed to pin ongoing durations (e.g. in a build)
+  function experienceHtml(strings, lang, now) {
+    const items = (strings.experience || []).map(x => timelineItemHtml('exp-card', x.role || x.title || '', x.company, x, strings, lang, now))
+    return items.length ? `<ol class="timeline">${items.join('')}</ol>` : ''
+  }
+
+  function educationHtml(strings, lang, now) {
+    const items = (strings.education || []).map(e => timelineItemHtml('edu-card', e.school || '', e.degree, e, strings, lang, now))
+    return items.length ? `<ol class="timeline">${items.join('')}</ol>` : ''
+  }
+
+  function languagesHtml(strings) {
+    return (strings.languages || []).map(l => `<div class="language-pill">${escapeHtml(`${l.language} — ${l.level}`)}</div>`).join('')
+  }
+
+  // --- Printable CV --------------------------------------------------------
+  // One-page document built from the same content as the site (cv.html, scripts/build-cv.js)
+  function cvSkillsHtml(strings) {
+    const view = strings.skills_view || {}
+    const categories = view.categories || {}
+    const groups = new Map()
+    ;(strings.skills || []).forEach(s => {
+      const skill = typeof s === 'string' ? { name: s } : s
+      const key = skill.category && categories[skill.category] ? skill.category : 'other'
+      if (!groups.has(key)) groups.set(key, [])
+      const level = skill.level && view.levels && view.levels[skill.level]
+      groups.get(key).push(`${escapeHtml(skill.name)}${level ? ` <span class="cv-level">(${escapeHtml(level)})</span>` : ''}`)
+    })
+    const single = groups.size === 1
+    return `<dl class="cv-skills">${Array.from(groups).map(([key, items]) =>
+      `${single ? '' : `<dt>${escapeHtml(categories[key] || key)}</dt>`}<dd>${items.join(', ')}</dd>`
+    ).join('')}</dl>`
+  }
+
+  function cvProjectsHtml(strings) {
+    return `<ul class="cv-projects">${(strings.projects || []).map(p => {
+      const links = [p.demo_link, p.repo_link].map(safeUrl).filter(Boolean)
+      return '<li>' +
+        `<h3>${escapeHtml(p.title || '')}${p.role ? ` <span class="cv-role">${escapeHtml(p.role)}</span>` : ''}</h3>` +
+        (p.short_description ? `<p>${escapeHtml(p.short_description)}</p>` : '') +
+        techChipsHtml(p.technologies) +
+        (links.length ? `<div class="cv-links">${links.map(l => linkHtml(l, escapeHtml(l))).join(' · ')}</div>` : '') +
+        '</li>'
+    }).join('')}</ul>`
+  }
+
+  function cvContactHtml(strings, profile) {
+    const c = strings.contact || {}
+    const email = profile.email || c.email || ''
+    const github = safeUrl(profile.github || c.github_url || '')
+    const website = safeUrl(profile.website || c.website_url || c.website || '')
+    const items = []
+    if (email) items.push(linkHtml(`mailto:${email}`, escapeHtml(email)))
+    if (profile.phone || c.phone) items.push(escapeHtml(profile.phone || c.phone))
+    if (c.location) items.push(escapeHtml(c.location))
+    if (github) items.push(linkHtml(github, escapeHtml(github.replace(/^https?:\/\//, ''))))
+    if (website) items.push(linkHtml(website, escapeHtml(website.replace(/^https?:\/\//, ''))))
+    return items.length ? `<ul class="cv-contact">${items.map(i => `<li>${i}</li>`).join('')}</ul>` : ''
+  }
+
+  function cvHtml(strings, profile, lang, now) {
+    const section = (title, body) => body ? `<section class="cv-section"><h2>${escapeHtml(title || '')}</h2>${body}</section>` : ''
+    const has = key => Array.isArray(strings[key]) && strings[key].length
+    return '<header class="cv-header">' +
+        `<h1>${escapeHtml(profile.fullName || strings.name || '')}</h1>` +
+        (strings.subtitle ? `<p class="cv-subtitle">${escapeHtml(strings.subtitle)}</p>` : '') +
+        cvContactHtml(strings, profile || {}) +
+      '</header>' +
+      section(strings.about_title, strings.about_text ? `<div class="rich-text">${renderMarkdown(strings.about_text)}</div>` : '') +
+      section(strings.experience_title, has('experience') ? experienceHtml(strings, lang, now) : '') +
+      section(strings.education_title, has('education') ? educationHtml(strings, lang, now) : '') +
+      section(strings.projects_title, has('projects') ? cvProjectsHtml(strings) : '') +
+      section(strings.skills_title, has('skills') ? cvSkillsHtml(strings) : '') +
+      section(strings.languages_title, has('languages') ? `<ul class="cv-languages">${strings.languages.map(l => `<li>${escapeHtml(`${l.language} — ${l.level}`)}</li>`).join('')}</ul>` : '')
+  }
+
+  // Contact form: labels from contact.form; script.js validates it and hands it to the delivery
+  // adapter configured in settings.contactForm. `_gotcha` is the honeypot (Formspree's name for it)
+  function contactFormHtml(strings) {
+    const f = (strings.contact && strings.contact.form) || {}
+    const field = (name, type, attrs) => {
+      const id = `contact-${name}`
+      const control = type === 'textarea'
+        ? `<textarea id="${id}" name="${name}" rows="5" ${attrs}></textarea>`
+        : `<input id="${id}" name="${name}" type="${type}" ${attrs}>`
+      return `<div class="form-field"><label for="${id}">${escapeHtml(f[name] || name)}</label>${control}<p class="field-error" id="${id}-error" hidden></p></div>`
+    }
+    return `<form class="contact-form" novalidate>` +
+      (f.title ? `<h3>${escapeHtml(f.title)}</h3>` : '') +
+      field('name', 'text', 'autocomplete="name" maxlength="100" required') +
+      field('email', 'email', 'autocomplete="email" maxlength="200" required') +
+      field('message', 'textarea', 'minlength="10" maxlength="5000" required') +
+      `<div class="contact-hp" aria-hidden="true"><label>Leave this empty <input name="_gotcha" tabindex="-1" autocomplete="off"></label></div>` +
+      `<button type="submit" class="cta-btn contact-send">${escapeHtml(f.send || 'Send')}</button>` +
+      `<p class="form-status" role="status" aria-live="polite"></p>` +
+      `</form>`
+  }
+
+  function contactHtml(strings, profile) {
+    const c = strings.contact || {}
+    // prefer profile.json values for contact details when available
+    const email = profile.email || c.email || ''
+    const phone = profile.phone || c.phone || ''
+    const github = safeUrl(profile.github || c.github_url || '')
+    const website = safeUrl(profile.website || c.website_url || c.website || '')
+    let html = ''
+    const copy = c.copy_email ? ` <button type="button" class="contact-copy" data-email="${escapeHtml(email)}">${escapeHtml(c.copy_email)}</button>` : ''
+    if (email) html += `<div>Email: ${linkHtml(`mailto:${email}`, escapeHtml(email))}${copy}</div>`
+    if (phone) html += `<div>Phone: ${escapeHtml(phone)}</div>`
+    if (github) html += `<div>Github: ${linkHtml(github, escapeHtml(github))}</div>`
+    if (website) html += `<div>Website: ${linkHtml(website, escapeHtml(website))}</div>`
+    if (c.vcard && profile.fullName) html += `<div class="contact-actions"><button type="button" class="contact-vcard">${escapeHtml(c.vcard)}</button></div>`
+    if (c.form) html += contactFormHtml(strings)
+    return html
+  }
+
+  // vCard 3.0 (widest support) of the profile.json contact details
+  function vCard(profile) {
+    const esc = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1')
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${esc(profile.fullName || '')}`, `N:${esc(profile.lastName || '')};${esc(profile.firstName || '')};;;`]
+    if (profile.email) lines.push(`EMAIL;TYPE=INTERNET:${esc(profile.email)}`)
+    if (profile.phone) lines.push(`TEL;TYPE=CELL:${esc(profile.phone)}`)
+    if (profile.website) lines.push(`URL:${esc(profile.website)}`)
+    if (profile.github) lines.push(`X-SOCIALPROFILE;TYPE=github:${esc(profile.github)}`)
+    lines.push('END:VCARD')
+    return `${lines.join('\r\n')}\r\n`
+  }
+
+  // --- Social metadata -----------------------------------------------------
+  // Open Graph / Twitter Card tags and JSON-LD (a Person plus a CreativeWork per project) for
+  // link unfurlers, which never run script.js: scripts/build.js writes them into every page and
+  // script.js replaces them (all marked data-social) when the language changes.
+
+  // Unfurlers and JSON-LD consumers need absolute URLs
+  function absoluteUrl(url, base) {
+    const safe = safeUrl(url)
+    if (!safe) return ''
+    try {
+      return new URL(safe, base).href
+    } catch (err) {
+      return ''
+    }
+  }
+
+  // Drop empty fields (and empty arrays) from a JSON-LD node
+  function compact(node) {
+    Object.keys(node).forEach(k => {
+      if (node[k] == null || node[k] === '' || (Array.isArray(node[k]) && !node[k].length)) delete node[k]
+    })
+    return node
+  }
+
+  // content job_title, else the role of the current (or latest) experience entry
+  function jobTitleOf(strings) {
+    if (strings.job_title) return strings.job_title
+    const experience = Array.isArray(strings.experience) ? strings.experience : []
+    const current = experience.find(e => e.end_date === 'present') || experience[0]
+    return (current && current.role) || ''
+  }
+
+  // `page` = { url: canonical URL of this language's page, site: base for relative assets }
+  function structuredData(strings, profile, lang, page) {
+    const contact = strings.contact || {}
+    const personId = `${page.url}#person`
+    const sameAs = [profile.github, profile.website, contact.github_url, contact.website_url]
+      .map(u => absoluteUrl(u, page.site))
+      .filter((u, i, all) => u && /^https?:/.test(u) && all.indexOf(u) === i)
+    const person = compact({
+      '@type': 'Person',
+      '@id': personId,
+      name: profile.fullName || strings.name,
+      url: page.url,
+      image: absoluteUrl(profilePhoto(strings, profile), page.site),
+      jobTitle: jobTitleOf(strings),
+      description: strings.hero_subtitle,
+      homeLocation: contact.location ? { '@type': 'Place', name: contact.location } : null,
+      sameAs,
+      alumniOf: (strings.education || []).filter(e => e.school).map(e => ({ '@type': 'EducationalOrganization', name: e.school })),
+      knowsAbout: (strings.skills || []).map(skill => skill.name).filter(Boolean)
+    })
+    const works = (Array.isArray(strings.projects) ? strings.projects : []).map((p, idx) => compact({
+      '@type': 'CreativeWork',
+      '@id': `${page.url}#/projects/${encodeURIComponent(projectIdOf(p, idx))}`,
+      name: p.title,
+      description: p.short_description,
+      url: absoluteUrl(p.demo_link, page.site) || `${page.url}#/projects/${encodeURIComponent(projectIdOf(p, idx))}`,
+      image: absoluteUrl(p.image, page.site),
+      keywords: (p.technologies || []).join(', '),
+      dateCreated: p.date,
+      inLanguage: lang,
+      creator: { '@id': personId }
+    }))
+    return { '@context': 'https://schema.org', '@graph': [person].concat(works) }
+  }
+
+  // The usual country of a language, for Open Graph's ll_CC locales; others get ll_LL (fr_FR)
+  const OG_LOCALES = {
+    en: 'en_US', pl: 'pl_PL', cs: 'cs_CZ', uk: 'uk_UA', ja: 'ja_JP', zh: 'zh_CN', ko: 'ko_KR',
+    sv: 'sv_SE', da: 'da_DK', el: 'el_GR', he: 'he_IL', ar: 'ar_AR', hi: 'hi_IN', vi: 'vi_VN',
+    nb: 'nb_NO', et: 'et_EE', sl: 'sl_SI', sr: 'sr_RS', fa: 'fa_IR', ga: 'ga_IE', ca: 'ca_ES'
+  }
+
+  // A settings.languages entry (or a bare code) as an Open Graph locale: its `locale`, the
+  // region of the code ('pt-BR' -> pt_BR), else the language's usual country
+  function ogLocale(language) {
+    const entry = typeof language === 'string' ? { code: language } : language || {}
+    if (entry.locale) return String(entry.locale).replace('-', '_')
+    const [ll, cc] = String(entry.code || '').split('-')
+    if (!ll) return ''
+    if (cc) return `${ll}_${cc.toUpperCase()}`
+    return OG_LOCALES[ll] || `${ll}_${ll.toUpperCase()}`
+  }
+
+  // [attribute, name, content] triples; og:image lists the profile photo, then every project image.
+  // `page.languages` are the settings.languages entries (or codes) for og:locale:alternate.
+  function socialMeta(strings, profile, lang, page) {
+    const title = pageTitle(strings, profile) || strings.name || ''
+    const description = strings.hero_subtitle || strings.subtitle || ''
+    const languages = (page.languages || []).map(l => typeof l === 'string' ? { code: l } : l).filter(l => l && l.code)
+    const images = [profilePhoto(strings, profile)]
+      .concat((Array.isArray(strings.projects) ? strings.projects : []).map(p => p.image))
+      .map(u => absoluteUrl(u, page.site))
+      .filter((u, i, all) => u && all.indexOf(u) === i)
+    const tags = [
+      ['name', 'description', description],
+      ['property', 'og:type', 'profile'],
+      ['property', 'og:site_name', profile.fullName || strings.name || ''],
+      ['property', 'og:title', title],
+      ['property', 'og:description', description],
+      ['property', 'og:url', page.url],
+      ['property', 'og:locale', ogLocale(languages.find(l => l.code === lang) || lang)]
+    ]
+    languages.filter(l => l.code !== lang).forEach(l => tags.push(['property', 'og:locale:alternate', ogLocale(l)]))
+    if (profile.firstName) tags.push(['property', 'profile:first_name', profile.firstName])
+    if (profile.lastName) tags.push(['property', 'profile:last_name', profile.lastName])
+    images.forEach(u => tags.push(['property', 'og:image', u]))
+    tags.push(['name', 'twitter:card', 'summary'], ['name', 'twitter:title', title], ['name', 'twitter:description', description])
+    if (images.length) tags.push(['name', 'twitter:image', images[0]])
+    return tags.filter(t => t[2])
+  }
+
+  function socialHeadHtml(strings, profile, lang, page) {
+    const tags = socialMeta(strings, profile, lang, page).map(([attr, name, content]) => `<meta ${attr}="${name}" content="${escapeHtml(content)}" data-social>`)
+    // `<` escaped so a text field cannot close the script element
+    const json = JSON.stringify(structuredData(strings, profile, lang, page)).replace(/</g, '\\u003c')
+    return tags.concat(`<script type="application/ld+json" data-social>${json}</script>`).join('\n  ')
+  }
+
+  // --- JSON Resume ---------------------------------------------------------
+  // The open JSON Resume format (https://jsonresume.org/schema/, v1.0.0) as a second home of the
+  // CV data. fromJsonResume() maps a resume onto the content structures (loadLanguageContent() and
+  // build.js merge resume.<lang>.json over content/<lang>.json when settings.jsonResume is on);
+  // toJsonResume() turns prepared content plus profile.json into a resume for resume themes and
+  // job boards (scripts/export-resume.js, Portfolio.getResume()).
+  const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json'
+  // free-text JSON Resume skill levels that name one of SKILL_LEVELS differently
+  const RESUME_LEVELS = { novice: 'beginner', basic: 'beginner', master: 'expert' }
+
+  // A copy without empty strings, arrays and objects, so data a file lacks stays missing in
+  // mergeContent() (unlike compact(), which strips a JSON-LD node in place)
+  function compactResume(obj) {
+    const out = {}
+    Object.keys(obj).forEach(k => {
+      const v = obj[k]
+      if (v === undefined || v === null || v === '') return
+      if (Array.isArray(v) ? !v.length : typeof v === 'object' && !Object.keys(v).length) return
+      out[k] = v
+    })
+    return out
+  }
+
+  // JSON Resume keeps a summary and highlights apart; descriptions write them as a paragraph and
+  // `- ` bullets (the renderMarkdown subset)
+  function joinHighlights(summary, highlights) {
+    const bullets = (Array.isArray(highlights) ? highlights : []).filter(h => typeof h === 'string' && h).map(h => `- ${h}`)
+    return [summary, bullets.join('\n')].filter(Boolean).join('\n\n')
+  }
+
+  function splitHighlights(description) {
+    const summary = []
+    const highlights = []
+    String(description || '').split(/\r?\n/).forEach(line => {
+      const item = line.match(/^\s*[-*]\s+(.*)$/)
+      if (item) highlights.push(item[1])
+      else summary.push(line)
+    })
+    return { summary: summary.join('\n').trim(), highlights }
+  }
+
+  function resumeLevel(level) {
+    const key = String(level || '').trim().toLowerCase()
+    return SKILL_LEVELS.includes(key) ? key : RESUME_LEVELS[key]
+  }
+
+  // Partial content: only what the resume has, e.g. { experience, skills, contact: { email } }
+  function fromJsonResume(resume) {
+    const r = resume || {}
+    const basics = r.basics || {}
+    const list = value => Array.isArray(value) ? value.filter(x => x && typeof x === 'object') : []
+    const location = basics.location || {}
+    const github = list(basics.profiles).find(p => /github/i.test(`${p.network || ''} ${p.url || ''}`))
+    return compactResume({
+      name: basics.name,
+      job_title: basics.label,
+      about_text: basics.summary,
+      profile_photo: basics.image,
+      contact: compactResume({
+        email: basics.email,
+        phone: basics.phone,
+        location: [location.city, location.region, location.countryCode].filter(Boolean).join(', ') || location.address,
+        website_url: basics.url,
+        github_url: github && github.url
+      }),
+      experience: list(r.work).map(w => compactResume({
+        role: w.position,
+        company: w.name,
+        location: w.location,
+        start_date: w.startDate,
+        // JSON Resume leaves the end date out for a current position
+        end_date: w.endDate || (w.startDate ? 'present' : ''),
+        description: joinHighlights(w.summary, w.highlights),
+        technologies: w.keywords,
+        links: w.url ? [{ url: w.url }] : []
+      })),
+      education: list(r.education).map(e => compactResume({
+        school: e.institution,
+        degree: [e.studyType, e.area].filter(Boolean).join(', '),
+        start_date: e.startDate,
+        end_date: e.endDate || (e.startDate ? 'present' : ''),
+        description: Array.isArray(e.courses) && e.courses.length === 1 ? e.courses[0] : joinHighlights('', e.courses),
+        links: e.url ? [{ url: e.url }] : []
+      })),
+      skills: list(r.skills).map(s => compactResume({ name: s.name, level: resumeLevel(s.level), technologies: s.keywords })),
+      languages: list(r.languages).map(l => compactResume({ language: l.language, level: l.fluency })),
+      // `id` (an extra property toJsonResume writes) keeps projects matched to the content's
+      projects: list(r.projects).map(p => compactResume({
+        project_id: /^[a-z0-9_-]+$/.test(p.id || '') ? p.id : slugify(p.name),
+        title: p.name,
+        role: Array.isArray(p.roles) ? p.roles.join(', ') : '',
+        short_description: p.description,
+        // a single highlight is the paragraph toJsonResume() writes for a long_description without bullets
+        long_description: Array.isArray(p.highlights) && p.highlights.length === 1 ? p.highlights[0] : joinHighlights('', p.highlights),
+        technologies: p.keywords,
+        date: /^\d{4}-\d{2}-\d{2}$/.test(p.startDate || '') ? p.startDate : '',
+        [githubRepoKey(p.url) ? 'repo_link' : 'demo_link']: p.url
+      }))
+    })
+  }
+
+  // content/<lang>.json with resume.<lang>.json over its CV data when settings.jsonResume is on;
+  // a language may then come from the resume alone. `loadJson(path)` resolves to the parsed file
+  // or null. The site (script.js) and the printable CV (cv.js) both load languages through here.
+  async function loadLanguageContent(lang, settings, loadJson) {
+    const content = await loadJson(`content/${lang}.json`)
+    const resume = settings.jsonResume ? await loadJson(`resume.${lang}.json`) : null
+    if (!resume) return content
+    return mergeContent(content || {}, fromJsonResume(resume)).content
+  }
+
+  // `page` = { site: base URL for relative assets like the profile photo }
+  function toJsonResume(strings, profile, page = {}) {
+    const contact = strings.contact || {}
+    const firstLink = links => (Array.isArray(links) && links[0] && absoluteUrl(links[0].url, page.site)) || ''
+    const date = value => parseDate(value) ? parseDate(value).iso : ''
+    const github = profile.github || contact.github_url
+    const capitalize = text => text ? text[0].toUpperCase() + text.slice(1) : ''
+    return compactResume({
+      $schema: JSON_RESUME_SCHEMA,
+      basics: compactResume({
+        name: profile.fullName || strings.name,
+        label: jobTitleOf(strings),
+        image: absoluteUrl(profilePhoto(strings, profile), page.site),
+        email: profile.email || contact.email,
+        phone: profile.phone || contact.phone,
+        url: absoluteUrl(profile.website || contact.website_url, page.site),
+        summary: strings.about_text,
+        location: compactResume({ address: contact.location }),
+        profiles: github ? [compactResume({ network: 'GitHub', username: String(github).replace(/\/+$/, '').split('/').pop(), url: github })] : []
+      }),
+      work: (strings.experience || []).map(x => {
+        const text = splitHighlights(x.description)
+        return compactResume({ name: x.company, position: x.role || x.title, location: x.location, url: firstLink(x.links), startDate: date(x.start_date), endDate: date(x.end_date), summary: text.summary, highlights: text.highlights, keywords: x.technologies })
+      }),
+      education: (strings.education || []).map(e => compactResume({
+        institution: e.school,
+        area: e.degree,
+        url: firstLink(e.links),
+        startDate: date(e.start_date),
+        endDate: date(e.end_date),
+        courses: (text => text.highlights.length ? text.highlights : [text.summary].filter(Boolean))(splitHighlights(e.description))
+      })),
+      skills: (strings.skills || []).map(s => typeof s === 'string' ? { name: s } : compactResume({ name: s.name, level: capitalize(s.level), keywords: s.technologies })),
+      languages: (strings.languages || []).map(l => compactResume({ language: l.language, fluency: l.level })),
+      projects: (strings.projects || []).filter(p => p && p.title).map((p, idx) => {
+        const text = splitHighlights(p.long_description)
+        return compactResume({
+          id: projectIdOf(p, idx),
+          name: p.title,
+          description: p.short_description,
+          highlights: text.highlights.length ? text.highlights : [text.summary].filter(Boolean),
+          keywords: p.technologies,
+          startDate: date(p.date),
+          url: absoluteUrl(p.demo_link || p.repo_link, page.site),
+          roles: p.role ? [p.role] : []
+        })
+      }),
+      meta: compactResume({ version: 'v1.0.0', lastModified: (strings.meta || {}).last_updated })
+    })
+  }
+
+  // --- Sections ------------------------------------------------------------
+  // The page sections below the hero. Each declares its <section> id, the content key it shows
+  // (`data`), its heading key (`title`), the class of the element its markup goes into
+  // (`container`) and the template producing that markup (null: the static markup of
+  // index.html is only filled through data-i18n). script.js and scripts/build.js both render
+  // through this list, so a new section (publications, certificates, ...) is one entry here
+  // plus its content; index.html needs no markup for it (see sectionShellHtml).
+  const SECTIONS = [
+    { id: 'about', data: 'about_text', title: 'about_title', container: '', template: null },
+    { id: 'projects', data: 'projects', title: 'projects_title', container: 'projects-grid', template: (strings, profile, lang) => (strings.projects || []).map((p, idx) => projectCardHtml(p, idx, strings, lang, strings.repos, strings.images)).join('') },
+    { id: 'skills', data: 'skills', title: 'skills_title', container: 'skills-list', template: strings => skillsHtml(strings) },
+    { id: 'experience', data: 'experience', title: 'experience_title', container: 'experience-list', template: (strings, profile, lang) => experienceHtml(strings, lang) },
+    { id: 'education', data: 'education', title: 'education_title', container: 'education-list', template: (strings, profile, lang) => educationHtml(strings, lang) },
+    { id: 'languages', data: 'languages', title: 'languages_title', container: 'languages-list', template: strings => languagesHtml(strings) },
+    { id: 'contact', data: 'contact', title: 'contact.contact_title', container: 'contact-box', template: (strings, profile) => contactHtml(strings, profile) }
+  ]
+
+  // Sections in display order with their visibility. settings.sections lists ids (or
+  // { id, visible }) in the wanted order; sections it leaves out follow in registry order.
+  function sectionLayout(settings) {
+    const configured = (Array.isArray(settings && settings.sections) ? settings.sections : [])
+      .map(entry => (typeof entry === 'string' ? { id: entry } : entry))
+      .filter(entry => entry && SECTIONS.some(s => s.id === entry.id))
+    const listed = configured.map(entry => ({ section: SECTIONS.find(s => s.id === entry.id), visible: entry.visible !== false }))
+    const rest = SECTIONS.filter(s => !configured.some(entry => entry.id === s.id)).map(section => ({ section, visible: true }))
+    return listed.concat(rest)
+  }
+
+  // A section without content in this language (missing key, empty list) is hidden
+  function sectionHasData(section, strings) {
+    const value = section.data.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), strings)
+    return Array.isArray(value) ? value.length > 0 : value != null && value !== ''
+  }
+
+  // Markup for a section index.html does not contain yet
+  function sectionShellHtml(section) {
+    return `<section id="${escapeHtml(section.id)}"><h2 data-i18n="${escapeHtml(section.title)}"></h2><div class="${escapeHtml(section.container)}"></div></section>`
+  }
+
+  return {
+    FALLBACK_AVATAR,
+    escapeHtml,
+    safeUrl,
+    renderMarkdown,
+    resolveKey,
+    hasKey,
+    mergeContent,
+    replacePlaceholders,
+    prepareStrings,
+    cvFileName,
+    cvHref,
+    profilePhoto,
+    pageTitle,
+    paletteCss,
+    languageSwitchHtml,
+    projectIdOf,
+    githubRepoKey,
+    imageEntry,
+    imageTileHtml,
+    pictureHtml,
+    profilePictureHtml,
+    projectTabId,
+    projectCardHtml,
+    projectDetailsHtml,
+    skillIdOf,
+    skillTechnologies,
+    skillsHtml,
+    experienceHtml,
+    educationHtml,
+    languagesHtml,
+    contactHtml,
+    vCard,
+    cvHtml,
+    socialHeadHtml,
+    ogLocale,
+    fromJsonResume,
+    loadLanguageContent,
+    toJsonResume,
+    SECTIONS,
+    sectionLayout,
+    sectionHasData,
+    sectionShellHtml
+  }
+})
@@ -1,6 +1,14 @@
+// Shared render helpers (render.js) — also used by scripts/build.js for the pre-rendered pages
+const { resolveKey, replacePlaceholders, prepareStrings, projectIdOf } = window.PortfolioRender
+
+// Pre-rendered pages live below the site root (e.g. /pl/), so data files are resolved against it
+function siteUrl(path) {
+  return `${document.documentElement.getAttribute('data-site-root') || ''}${path}`
+}
+
 async function loadJson(path) {
   try {
-    const res = await fetch(path, { cache: 'no-cache' })
+    const res = await fetch(siteUrl(path), { cache: 'no-cache' })
     if (!res.ok) throw new Error(`HTTP ${res.status}`)
     return await res.json()
   } catch (err) {
@@ -10,275 +18,240 @@ async function loadJson(path) {
 }
 
 const DEFAULT_SETTINGS = { defaultLanguage: 'en', defaultTheme: 'dark', defaultAutoplay: false }
-const TEMPLATE_PATH = 'content/template.json'
 
 let settings = { ...DEFAULT_SETTINGS }
 let strings = {}
 let profile = {}
 let projects = []
-// Add a small whitelist for external hosts which we will allow to embed in the iframe.
-const ALLOWED_EMBED_HOSTS = new Set([
-  'kronos-live.pages.dev'
-])
-
-function applyTheme(theme) {
-  const html = document.documentElement
-  const body = document.body
-  if (theme === 'light') {
-    body.classList.remove('dark')
-    html.classList.add('light')
-    document.getElementById('themeToggle').textContent = '☀️'
-    document.getElementById('themeToggle').setAttribute('aria-pressed', 'false')
-  } else {
-    body.classList.add('dark')
-    html.classList.remove('light')
-    document.getElementById('themeToggle').textContent = '🌙'
-    document.getElementById('themeToggle').setAttribute('aria-pressed', 'true')
-  }
-}
+// GitHub stats per "owner/repo" from repos.json (scripts/fetch-repos.js), shown on project cards
+let repos = {}
+// AVIF/WebP variants, sizes and placeholders per local image from images.json (scripts/build-images.js)
+let images = {}
+// language of the content currently rendered
+let currentLang = ''
+// key paths of `strings` inherited from the default language (for ?debug=i18n)
+let contentFallbacks = []
+// true while wiring up a page whose markup was produced by scripts/build.js
+let hydrating = false
+// project_id of the card currently shown in the showcase (kept across re-renders)
+let selectedProjectId = ''
+// browser language to switch to after a first visit lands on the default pre-rendered page
+let suggestedLang = ''
 
 function updateTextNodes() {
-  // resolve nested keys like 'contact.contact_title'
-  const resolveKey = (k) => {
-    if (!k) return ''
-    const parts = k.split('.')
-    let cur = strings
-    for (const p of parts) { if (cur && typeof cur[p] !== 'undefined') { cur = cur[p] } else { return '' } }
-    return typeof cur === 'string' ? cur : ''
-  }
   document.querySelectorAll('[data-i18n]').forEach(el => {
     const key = el.getAttribute('data-i18n')
-    const value = resolveKey(key) || (strings && strings[key]) || ''
+    const value = resolveKey(strings, key)
     if (value) el.textContent = value
+    else if (!PortfolioRender.hasKey(strings, key)) console.warn('Missing translation for data-i18n key', key)
   })
 }
 
-function buildProjectCard(p, idx) {
-  const card = document.createElement('article')
-  card.className = 'project-card'
-  card.setAttribute('role', 'button')
-  card.setAttribute('tabindex', '0')
-  // allow a number of video id sources: videoId, youtube_id, youtube_embed (template or url)
-  // support multiple source keys for site embeds or youtube ids
-  const videoId = p.videoId || p.video_id || p.youtube_id || p.youtubeId || p.video_url || p.embed || p.embed_url || ''
-  card.setAttribute('data-video-id', videoId)
-  if (p.youtube_embed && p.youtube_embed.includes('{{id}}') && p.youtube_id) {
-    card.setAttribute('data-youtube', p.youtube_embed.replace('{{id}}', p.youtube_id))
-  } else if (p.youtube_embed && !p.youtube_embed.includes('{{id}}')) {
-    card.setAttribute('data-youtube', p.youtube_embed)
-  }
-  // demo link / external site
-  if (p.demo_link) card.setAttribute('data-demo-link', p.demo_link)
-  else if (p.demoLink) card.setAttribute('data-demo-link', p.demoLink)
-  else if (p.link) card.setAttribute('data-demo-link', p.link)
-  else if (p.repo_link) card.setAttribute('data-demo-link', p.repo_link)
-  card.setAttribute('data-project-id', p.id || `p${idx}`)
-  // set accessible title and long desc data attributes for the video area
-  const projectTitle = p.title || (p.titleKey ? strings[p.titleKey] : '')
-  const projectLong = p.long_description || p.longDescription || ''
-  card.setAttribute('data-title', projectTitle)
-  card.setAttribute('data-long', projectLong)
-
-  const title = document.createElement('h3')
-  if (p.titleKey) { title.setAttribute('data-i18n', p.titleKey); title.textContent = strings[p.titleKey] || p.titleKey || 'Project' }
-  else { title.textContent = p.title || p.titleKey || 'Project' }
-
-  const desc = document.createElement('p')
-  if (p.descKey) { desc.setAttribute('data-i18n', p.descKey); desc.textContent = strings[p.descKey] || p.descKey || '' }
-  else { desc.textContent = p.short_description || p.descKey || '' }
-
-  // NOTE: No 'view_demo' hint shown on project tiles per UI update
-
-  card.appendChild(title)
-  card.appendChild(desc)
-
-  // optional role & technologies
-  if (p.role) {
-    const role = document.createElement('div'); role.className = 'project-role'; role.textContent = p.role; card.appendChild(role)
-  }
-  if (p.technologies && Array.isArray(p.technologies)) {
-    const techList = document.createElement('div'); techList.className = 'project-tech';
-    p.technologies.forEach(t => { const el = document.createElement('span'); el.className = 'tech-chip'; el.textContent = t; techList.appendChild(el) })
-    card.appendChild(techList)
-  }
-  // hint element removed — do not append
-  // set thumbnail if available
-  if (p.image) {
-    card.style.backgroundImage = `linear-gradient(180deg, rgba(0,0,0,0.08), rgba(0,0,0,0.22)), url('${p.image}')`
-    card.style.backgroundSize = 'cover'
-    card.style.backgroundPosition = 'center'
-    card.setAttribute('data-image', p.image)
-  }
-  const titleTxt = title ? title.textContent : projectTitle || 'Project'
-  card.setAttribute('aria-label', titleTxt)
-  return card
+// --- Theme ---------------------------------------------------------------
+// Modes: dark, light and system (follows prefers-color-scheme, also while the page is open).
+// The light theme is `html.light`; a palette from settings.palettes is `html[data-palette]`.
+// The inline script in index.html's <head> applies the saved choice before the first paint.
+const THEME_MODES = ['dark', 'light', 'system']
+const THEME_ICONS = { dark: '🌙', light: '☀️', system: '🖥️' }
+const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null
+let themeMode = 'dark'
+
+function resolveTheme(mode) {
+  if (mode !== 'system') return mode
+  return colorSchemeQuery && colorSchemeQuery.matches ? 'light' : 'dark'
+}
+
+// `palette` is a settings.palettes name, '' for the stylesheet's own colors, undefined to keep it
+function applyTheme(mode, palette) {
+  const root = document.documentElement
+  themeMode = THEME_MODES.includes(mode) ? mode : 'dark'
+  root.classList.toggle('light', resolveTheme(themeMode) === 'light')
+  root.setAttribute('data-theme-mode', themeMode)
+  if (palette) root.setAttribute('data-palette', palette)
+  else if (palette === '') root.removeAttribute('data-palette')
+  const themeColor = document.querySelector('meta[name="theme-color"]')
+  if (themeColor && window.getComputedStyle) {
+    const bg = getComputedStyle(root).getPropertyValue('--bg').trim()
+    if (bg) themeColor.setAttribute('content', bg)
+  }
+  updateThemeToggle()
+}
+
+// The toggle names the current mode ("Theme: System"); the next click moves to the next mode
+function updateThemeToggle() {
+  const toggle = document.getElementById('themeToggle')
+  if (!toggle) return
+  const modeLabel = resolveKey(strings, `theme.modes.${themeMode}`) || themeMode
+  const label = (resolveKey(strings, 'theme.label') || 'Theme: {mode}').replace('{mode}', modeLabel)
+  toggle.textContent = THEME_ICONS[themeMode]
+  toggle.setAttribute('aria-label', label)
+  toggle.setAttribute('title', label)
+}
+
+// Pick a mode and remember it (the toggle and Portfolio.setTheme)
+function setThemeMode(mode) {
+  if (!THEME_MODES.includes(mode)) return false
+  track('theme_change', { mode })
+  localStorage.setItem('theme', mode)
+  applyTheme(mode)
+  return true
 }
 
-function renderProjects() {
+function initTheme() {
+  // pre-rendered pages carry the palette styles already (scripts/build.js)
+  if (settings.palettes && !document.getElementById('theme-palettes')) {
+    const style = document.createElement('style')
+    style.id = 'theme-palettes'
+    style.textContent = PortfolioRender.paletteCss(settings.palettes)
+    document.head.appendChild(style)
+  }
+  const palette = (settings.palettes || {})[settings.palette] ? settings.palette : ''
+  applyTheme(localStorage.getItem('theme') || settings.defaultTheme, palette)
+
+  if (colorSchemeQuery) {
+    const follow = () => { if (themeMode === 'system') applyTheme('system') }
+    if (colorSchemeQuery.addEventListener) colorSchemeQuery.addEventListener('change', follow)
+    else if (colorSchemeQuery.addListener) colorSchemeQuery.addListener(follow)
+  }
+
+  const toggle = document.getElementById('themeToggle')
+  if (!toggle) return
+  toggle.addEventListener('click', () => {
+    setThemeMode(THEME_MODES[(THEME_MODES.indexOf(themeMode) + 1) % THEME_MODES.length])
+    // add small animation to the icon to make the change more meaningful
+    toggle.classList.add('theme-toggle-anim')
+    setTimeout(() => toggle.classList.remove('theme-toggle-anim'), 380)
+  })
+}
+
+// --- Sections ------------------------------------------------------------
+// PortfolioRender.SECTIONS declares every section below the hero (content key, container,
+// template); settings.sections orders and hides them. renderSections() is the only way their
+// markup changes: it compares each template's output with the previous render and only
+// replaces containers whose markup differs.
+const renderedSections = new Map()
+// behaviour attached once a section's markup is current (runs on every render)
+const SECTION_HOOKS = { projects: initProjectCards, contact: initContactForm }
+// cards that already have their listeners (unchanged markup keeps its elements)
+const wiredCards = new WeakSet()
+
+// Put the sections in the configured order, creating the ones index.html has no markup for
+function applySectionLayout() {
+  const main = document.querySelector('main')
+  if (!main) return
+  PortfolioRender.sectionLayout(settings).forEach(({ section }) => {
+    let el = document.getElementById(section.id)
+    if (!el) {
+      const tpl = document.createElement('template')
+      tpl.innerHTML = PortfolioRender.sectionShellHtml(section)
+      el = tpl.content.firstElementChild
+    }
+    main.appendChild(el)
+  })
+}
+
+function renderSections() {
+  // legacy projects.json entries stand in when the content has no projects
+  const data = { ...strings, projects, repos, images }
+  const shown = PortfolioRender.sectionLayout(settings).filter(({ section, visible }) => {
+    const el = document.getElementById(section.id)
+    if (!el) return false
+    el.hidden = !visible || !PortfolioRender.sectionHasData(section, data)
+    if (el.hidden || !section.template) return !el.hidden
+    const html = section.template(data, profile, currentLang)
+    const container = el.querySelector(`.${section.container}`)
+    // a page pre-rendered in this language already shows exactly this markup
+    if (container && !hydrating && renderedSections.get(section.id) !== html) container.innerHTML = html
+    renderedSections.set(section.id, html)
+    return true
+  })
+  // hooks run after all markup is in place (the projects hook also syncs the skill chips)
+  shown.forEach(({ section }) => { if (SECTION_HOOKS[section.id]) SECTION_HOOKS[section.id]() })
+}
+
+// Render everything that depends on the content: the first render and every language change
+function renderPage() {
+  updateTextNodes()
+  updateThemeToggle()
+  renderHero()
+  renderSections()
+  highlightFallbacks()
+  runPlugins()
+}
+
+function renderHero() {
+  const heroTitle = document.querySelector('.hero-title')
+  const heroSub = document.querySelector('.hero-sub')
+  const profileCard = document.querySelector('.profile-card')
+  if (strings.hero_title) heroTitle.textContent = strings.hero_title
+  if (strings.hero_subtitle) heroSub.textContent = strings.hero_subtitle
+  // profile photo in the profile card (prefer content, otherwise profile.json or the avatar) with
+  // its images.json variants; data-photo keeps a pre-rendered or unchanged photo from reloading
+  const picSrc = PortfolioRender.profilePhoto(strings, profile)
+  if (profileCard && profileCard.dataset.photo !== picSrc) {
+    profileCard.innerHTML = PortfolioRender.profilePictureHtml(strings, profile, images)
+    profileCard.dataset.photo = picSrc
+  }
+  const profilePic = profileCard && profileCard.querySelector('.profile-pic')
+  if (profilePic) watchProfilePhoto(profilePic)
+  // prefer content-provided CV links; otherwise the generated PDF of this language
+  setCvLink(PortfolioRender.cvHref(strings, profile, currentLang))
+  const cvView = document.getElementById('cvView')
+  if (cvView) cvView.setAttribute('href', siteUrl(`cv.html?lang=${encodeURIComponent(currentLang)}`))
+}
+
+// Behaviour of the project cards rendered by the projects section
+function initProjectCards() {
   const grid = document.querySelector('.projects-grid')
-  grid.innerHTML = ''
-  const elements = projects.map((p, idx) => buildProjectCard(p, idx))
-  elements.forEach(el => grid.appendChild(el))
+  projectMediaById.clear()
+  projects.forEach((p, idx) => projectMediaById.set(projectIdOf(p, idx), projectMedia(p)))
 
   // attach click and keyboard handlers to project cards now that they are rendered
   const cards = Array.from(grid.querySelectorAll('.project-card'))
-  cards.forEach(c => {
-    c.addEventListener('click', () => { console.debug('card click', c.getAttribute('data-project-id') || c.getAttribute('data-video-id')); activateCard(c) })
-    c.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar') { e.preventDefault(); activateCard(c) } })
+  cards.filter(c => !wiredCards.has(c)).forEach(c => {
+    wiredCards.add(c)
+    c.addEventListener('click', (e) => {
+      const chip = e.target.closest && e.target.closest('.tech-chip[data-skill]')
+      if (chip) return goToSkill(chip.getAttribute('data-skill'))
+      if (e.target.closest && e.target.closest('a')) return
+      console.debug('card click', c.getAttribute('data-project-id'))
+      activateCard(c)
+    })
+    c.addEventListener('keydown', projectCardKeydown)
+    c.querySelectorAll('picture img').forEach(watchPicture)
   })
 
   // event delegation fallback - if a nested element is clicked and the one we attached to isn't fired,
   // ensure the click still activates the card by listening on the grid parent.
-  // avoid adding multiple duplicate listeners when renderProjects() is called repeatedly
+  // avoid adding multiple duplicate listeners when the cards are re-rendered
   if (!grid.dataset.delegated) {
     grid.addEventListener('click', (ev) => {
       const clickedCard = ev.target.closest && ev.target.closest('.project-card')
-      if (clickedCard) {
-        console.debug('grid delegated click ->', clickedCard.getAttribute('data-project-id') || clickedCard.getAttribute('data-video-id'))
+      if (clickedCard && !ev.target.closest('a, .tech-chip[data-skill]')) {
+        console.debug('grid delegated click ->', clickedCard.getAttribute('data-project-id'))
         activateCard(clickedCard)
       }
     })
     grid.dataset.delegated = '1'
   }
-  // select the first project card so showcase always has a visible project
-  if (cards.length) {
-    // select the first and set the video if available
-    selectProject(cards[0], false)
-    const firstVid = cards[0].getAttribute('data-video-id') || cards[0].getAttribute('data-youtube') || cards[0].getAttribute('data-demo-link')
-    if (firstVid) setVideo(firstVid, settings.defaultAutoplay)
+  // select the routed (or previously selected) project so the showcase survives re-renders,
+  // otherwise fall back to the first card so showcase always has a visible project
+  renderProjectFilters()
+  applyProjectFilters(false)
+  // a routed project the filters hide clears them; a previous selection they hide gives way
+  const routed = revealProjectCard(findProjectCard(parseRoute().projectId))
+  const visible = cards.filter(c => !c.hidden)
+  if (visible.length) {
+    const wanted = routed || findProjectCard(selectedProjectId)
+    const initial = wanted && !wanted.hidden ? wanted : visible[0]
+    selectProject(initial, false)
+    showCardMedia(initial, settings.defaultAutoplay)
   }
 }
 
 // Helper to select project cards on the page
 const projectCards = () => Array.from(document.querySelectorAll('.project-card'))
 
-// Set the iframe to YouTube or arbitrary URL; also update active card state and selected info
-function setVideo(id, autoplay = false) {
-  const iframe = document.getElementById('ytFrame')
-  console.debug('setVideo called with id:', id, 'autoplay:', autoplay)
-  if (!id) { if (iframe) iframe.setAttribute('src', ''); return }
-  let url = id
-  // Determine whether we should embed this id/url in an iframe or treat it as external
-  let useIframe = true
-  if (!id.startsWith('http')) {
-    url = `https://www.youtube.com/embed/${id}?rel=0&autoplay=${autoplay ? 1 : 0}`
-    useIframe = true
-  } else {
-    // parse URL and detect known embeddable hosts (youtube/vimeo). If not, we'll not embed external site.
-    try {
-      const u = new URL(id)
-      const host = (u.hostname || '').toLowerCase()
-      console.debug('setVideo parsed host:', host)
-      if (host.includes('youtube.com') || host.includes('youtu.be') || host.includes('vimeo.com') || host.includes('player.vimeo.com') || ALLOWED_EMBED_HOSTS.has(host)) {
-        useIframe = true
-      } else {
-        useIframe = false
-      }
-    } catch (err) {
-      useIframe = false
-    }
-  // ensure iframe is used for embeddable hosts; otherwise, clear it and show the project's image if present
-  const projectImg = document.getElementById('projectImg')
-  if (!useIframe) {
-    if (iframe) iframe.setAttribute('src', '')
-    if (projectImg) {
-      // show placeholder image for the currently selected card
-      const selected = document.querySelector('.project-card.active')
-      const imgSrc = selected && selected.getAttribute('data-image')
-      if (imgSrc) {
-        projectImg.setAttribute('src', imgSrc)
-        projectImg.classList.remove('hidden')
-      } else {
-        projectImg.classList.add('hidden')
-      }
-    }
-  } else {
-    if (projectImg) { projectImg.setAttribute('src', ''); projectImg.classList.add('hidden') }
-    if (iframe) {
-      // Add a short timeout to detect embed failures (e.g., blocked by X-Frame-Options).
-      let iframeLoaded = false
-      const onLoad = () => { iframeLoaded = true; iframe.removeEventListener('load', onLoad); iframe.removeEventListener('error', onError); console.debug('iframe loaded', url) }
-      const onError = () => { iframeLoaded = false; iframe.removeEventListener('load', onLoad); iframe.removeEventListener('error', onError); console.warn('iframe error', url) }
-      iframe.addEventListener('load', onLoad)
-      iframe.addEventListener('error', onError)
-      iframe.setAttribute('src', url)
-      // After a short timeout, if not loaded and the content is external (http) then fallback to demo link or image.
-      setTimeout(() => {
-        if (!iframeLoaded && id.startsWith('http') && !hostIncludesYouTube(id)) {
-          console.warn('iframe failed to load or blocked; falling back to demo link for', id)
-          // hide iframe and show project image or demo link
-          iframe.setAttribute('src', '')
-          if (projectImg && projectImg.getAttribute('src')) { projectImg.classList.remove('hidden') }
-          const demoEl = document.getElementById('projectDemoLink')
-          // Only show the demo link for the Kronos project (non-embeddable external demos are hidden by default)
-          if (demoEl) {
-            const matchingCard = document.querySelector(`.project-card[data-demo-link="${id}"]`)
-            let showDemo = false
-            if (matchingCard) {
-              const pid = matchingCard.getAttribute('data-project-id') || ''
-              if (pid === 'kronos_live') showDemo = true
-              else {
-                try { const u = new URL(id); if (u.hostname.includes('kronos-live.pages.dev')) showDemo = true } catch (err) {}
-              }
-            }
-            if (showDemo) { demoEl.classList.remove('hidden'); demoEl.focus({ preventScroll: true }) }
-          }
-        }
-      }, 1600)
-    }
-    }
-  projectCards().forEach(c => {
-    const isMatch = c.getAttribute('data-video-id') === id || c.getAttribute('data-demo-link') === id || c.getAttribute('data-youtube') === id
-    if (isMatch) {
-      c.classList.add('active')
-      c.setAttribute('aria-pressed', 'true')
-    } else {
-      c.classList.remove('active')
-      c.setAttribute('aria-pressed', 'false')
-    }
-  })
-  // update selected project title & description area
-  const selected = document.querySelector('.project-card.active')
-  if (selected) {
-    const selTitle = document.querySelector('.selected-project-title')
-    const selDesc = document.querySelector('.selected-project-desc')
-    const t = selected.getAttribute('data-title') || ''
-    const d = selected.getAttribute('data-long') || ''
-    if (selTitle) selTitle.textContent = t
-    if (selDesc) selDesc.textContent = d
-    // update the demo link (if present)
-    const demoLinkEl = document.getElementById('projectDemoLink')
-    if (demoLinkEl) {
-      const projectDemoUrl = selected.getAttribute('data-demo-link') || ''
-      const projectId = selected.getAttribute('data-project-id') || ''
-      let showDemo = false
-      if (projectDemoUrl) {
-        try {
-          const u = new URL(projectDemoUrl)
-          if (projectId === 'kronos_live' || u.hostname.includes('kronos-live.pages.dev')) showDemo = true
-        } catch (err) {
-          if (projectId === 'kronos_live') showDemo = true
-        }
-      }
-      if (showDemo) {
-        demoLinkEl.setAttribute('href', projectDemoUrl)
-        // prefer Kronos to use the main CTA button style
-        demoLinkEl.classList.remove('selected-project-cta')
-        demoLinkEl.classList.add('cta-btn')
-        demoLinkEl.classList.remove('hidden')
-        demoLinkEl.textContent = strings['open_demo'] || strings['view_demo'] || 'Open demo'
-      } else {
-        demoLinkEl.setAttribute('href', '')
-        demoLinkEl.classList.remove('cta-btn')
-        demoLinkEl.classList.add('selected-project-cta')
-        demoLinkEl.classList.add('hidden')
-        demoLinkEl.textContent = ''
-      }
-    }
-  }
-}
-}
-
 // human-friendly label for external demo links
 function friendlyLabelForUrl(url) {
   if (!url) return ''
@@ -291,113 +264,1089 @@ function friendlyLabelForUrl(url) {
   }
 }
 
-// Activate the card and set the video or demo link as appropriate
-function activateCard(card) {
-  let vid = card.getAttribute('data-video-id')
-  console.debug('activateCard:', { project: card.getAttribute('data-project-id'), videoId: vid, youtube: card.getAttribute('data-youtube'), demo: card.getAttribute('data-demo-link') })
-  if (!vid) vid = card.getAttribute('data-youtube') || ''
+function projectById(projectId) {
+  const idx = projects.findIndex((p, i) => projectIdOf(p, i) === projectId)
+  return idx >= 0 ? projects[idx] : null
+}
+
+function demoUrlOf(p) {
+  return (p && (p.demo_link || p.demoLink || p.link)) || ''
+}
+
+// `show_demo_button` decides per project; without it any project with a demo link shows it
+function showsDemoButton(p) {
+  if (!p) return false
+  return typeof p.show_demo_button === 'boolean' ? p.show_demo_button : !!demoUrlOf(p)
+}
+
+// Show the "Open demo" CTA for the project; `force` is used by the link fallback of a
+// provider whose embed could not be loaded
+function updateDemoLink(p, force = false) {
+  const demoLinkEl = document.getElementById('projectDemoLink')
+  if (!demoLinkEl) return
+  const url = demoUrlOf(p)
+  if (url && (force || showsDemoButton(p))) {
+    demoLinkEl.setAttribute('href', url)
+    demoLinkEl.classList.remove('selected-project-cta')
+    demoLinkEl.classList.add('cta-btn')
+    demoLinkEl.classList.remove('hidden')
+    // show the hostname so it is explicit that the link opens an external page
+    demoLinkEl.textContent = friendlyLabelForUrl(url) || strings['open_demo'] || strings['view_demo'] || 'Open demo'
+  } else {
+    demoLinkEl.setAttribute('href', '')
+    demoLinkEl.classList.add('hidden')
+    demoLinkEl.textContent = ''
+  }
+}
+
+// Activate the card and show its media.
+// `updateHistory` pushes a `#/projects/<id>` entry; route restores pass false to avoid loops.
+function activateCard(card, updateHistory = true) {
+  revealProjectCard(card)
+  if (updateHistory) pushProjectRoute(card.getAttribute('data-project-id'))
+  track('project_select', { project: card.getAttribute('data-project-id') })
   // When the user interacts with the project (click/keyboard), scroll the showcase
   selectProject(card, true)
-  if (!vid) {
-    const demoUrl = card.getAttribute('data-demo-link') || ''
-    if (demoUrl) vid = demoUrl
-    else return setVideo('', false)
-  }
-  const autoplay = settings.defaultAutoplay || false
-  setVideo(vid, autoplay)
+  showCardMedia(card, settings.defaultAutoplay || false)
 }
 
-// Update the showcase for a selected project card (title/desc/cta/image)
+// Update the showcase for a selected project card (title/desc/cta/media strip)
 function selectProject(card, scroll = false) {
   if (!card) return
   // optional scroll parameter: second argument can be a boolean 'scroll'. Default to false to avoid
   // scrolling when projects are programmatically (re)rendered or when language changes.
   // parameter 'scroll' (boolean) indicates whether to scroll the showcase into view
-  projectCards().forEach(c => { c.classList.remove('active'); c.setAttribute('aria-pressed', 'false') })
-  card.classList.add('active'); card.setAttribute('aria-pressed', 'true')
+  const previous = selectedProjectId
+  projectCards().forEach(c => { c.classList.remove('active'); c.setAttribute('aria-selected', 'false') })
+  card.classList.add('active'); card.setAttribute('aria-selected', 'true')
+  setProjectTabStop(card)
+  selectedProjectId = card.getAttribute('data-project-id') || ''
   const selTitle = document.querySelector('.selected-project-title')
   const selDesc = document.querySelector('.selected-project-desc')
+  const selMeta = document.querySelector('.selected-project-meta')
   const t = card.getAttribute('data-title') || ''
   const d = card.getAttribute('data-long') || ''
   if (selTitle) selTitle.textContent = t
   if (selDesc) selDesc.textContent = d
-  const demoLinkEl = document.getElementById('projectDemoLink')
-  if (demoLinkEl) {
-    const projectDemoUrl = card.getAttribute('data-demo-link') || ''
-    const projectId = card.getAttribute('data-project-id') || ''
-    let showDemo = false
-    if (projectDemoUrl) {
-      try {
-        const u = new URL(projectDemoUrl)
-        if (projectId === 'kronos_live' || u.hostname.includes('kronos-live.pages.dev')) showDemo = true
-      } catch (err) {
-        if (projectId === 'kronos_live') showDemo = true
-      }
+  const p = projectById(selectedProjectId)
+  if (selMeta) selMeta.innerHTML = p ? PortfolioRender.projectDetailsHtml(p, strings, currentLang, repos) : ''
+  const showcase = document.querySelector('.showcase-wrapper')
+  if (showcase && card.id) showcase.setAttribute('aria-labelledby', card.id)
+  updateDemoLink(p)
+  renderMediaCarousel(card)
+  // re-renders keep the selection quietly; picking a card always counts
+  if (scroll || selectedProjectId !== previous) emit('projectselect', { id: selectedProjectId, project: p })
+  // Scroll and announce only when explicitly requested (e.g., user click/keyboard interaction);
+  // focus stays on the card so the arrow keys keep working
+  if (scroll) {
+    announceProject(t || card.getAttribute('aria-label') || '')
+    if (showcase) {
+      try { showcase.scrollIntoView({ behavior: scrollBehavior(), block: 'start' }) } catch (err) { showcase.scrollIntoView() }
     }
-    if (showDemo) {
-      demoLinkEl.setAttribute('href', projectDemoUrl)
-      // For specific projects like kronos_live, use primary CTA styling (same as CV button)
-      demoLinkEl.classList.remove('selected-project-cta')
-      demoLinkEl.classList.add('cta-btn')
-      demoLinkEl.classList.remove('hidden')
-      // If demo is an external url, show its hostname (e.g. kronos-live.pages.dev)
-      // This makes it explicit that clicking will open an external page
-      const friendly = friendlyLabelForUrl(projectDemoUrl)
-      // prefer to show just the hostname, otherwise fallback to the i18n label
-      demoLinkEl.textContent = friendly || strings['open_demo'] || strings['view_demo'] || 'Open demo'
+  }
+}
+
+// Screen readers hear the picked project from the live region in the showcase
+function announceProject(title) {
+  const announcer = document.querySelector('.project-announcer')
+  if (!announcer || !title) return
+  const text = resolveKey(strings, 'projects_a11y.selected') || '{title}'
+  announcer.textContent = text.replace('{title}', title)
+}
+
+// --- Project tabs --------------------------------------------------------
+// The grid is a tablist (see projectCardHtml in render.js) with a roving tabindex: only one
+// visible card is in the tab order, the arrow keys, Home and End move between the visible
+// cards and Enter/Space select. Filtering may hide the card holding the tab stop.
+function visibleProjectCards() {
+  return projectCards().filter(c => !c.hidden)
+}
+
+function setProjectTabStop(card) {
+  projectCards().forEach(c => c.setAttribute('tabindex', c === card ? '0' : '-1'))
+}
+
+// Keep the tab stop on a visible card: the selected one, otherwise the first
+function syncProjectTabStop() {
+  const visible = visibleProjectCards()
+  if (!visible.length) return
+  setProjectTabStop(visible.find(c => c.classList.contains('active')) || visible[0])
+}
+
+function projectCardKeydown(e) {
+  const card = e.currentTarget
+  if (e.target !== card) return
+  if (e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar') {
+    e.preventDefault()
+    activateCard(card)
+    return
+  }
+  const visible = visibleProjectCards()
+  const index = visible.indexOf(card)
+  // left/right follow the reading direction in right-to-left languages
+  const rtl = document.documentElement.getAttribute('dir') === 'rtl'
+  const moves = {
+    ArrowRight: rtl ? -1 : 1,
+    ArrowLeft: rtl ? 1 : -1,
+    ArrowDown: 1,
+    ArrowUp: -1
+  }
+  let next = null
+  if (e.key === 'Home') next = visible[0]
+  else if (e.key === 'End') next = visible[visible.length - 1]
+  else if (moves[e.key] && index >= 0) next = visible[(index + moves[e.key] + visible.length) % visible.length]
+  if (!next) return
+  e.preventDefault()
+  setProjectTabStop(next)
+  next.focus()
+}
+
+// --- Embed providers -----------------------------------------------------
+// Every media item is shown by a provider: it recognises its URLs, builds the embed URL with
+// its autoplay parameters, names the stage element (iframe / video / img) and what to show
+// when the item can't be loaded ('image': the project image, 'link': the image plus the demo
+// button). Projects only describe their media in content (see projectMedia), so a new project
+// never needs changes here; a new kind of embed is one more entry.
+function hostOf(src) {
+  try { return new URL(src).hostname.toLowerCase() } catch (err) { return '' }
+}
+
+function youtubeIdFromUrl(src) {
+  if (!src) return ''
+  if (!/^https?:/.test(src)) return src
+  try {
+    const u = new URL(src)
+    if (u.hostname.includes('youtu.be')) return u.pathname.slice(1)
+    if (u.searchParams.get('v')) return u.searchParams.get('v')
+    const m = u.pathname.match(/\/(?:embed|shorts|v)\/([^/?]+)/)
+    return m ? m[1] : ''
+  } catch (err) {
+    return ''
+  }
+}
+
+function vimeoIdFromUrl(src) {
+  if (!src) return ''
+  const m = String(src).match(/(\d{6,})/)
+  return m ? m[1] : ''
+}
+
+// Providers with `consent` load third-party content: they start as a click-to-load facade
+// naming `provider(item)` until the visitor plays the item (see showMediaFacade).
+const EMBED_PROVIDERS = {
+  // always embedded through youtube-nocookie, which sets no cookies until playback
+  youtube: {
+    element: 'iframe',
+    consent: true,
+    provider: () => 'YouTube',
+    match: src => /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/.test(hostOf(src)),
+    id: youtubeIdFromUrl,
+    embedUrl: (item, autoplay) => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(item.id)}?rel=0&autoplay=${autoplay ? 1 : 0}`,
+    thumbnail: item => `https://i.ytimg.com/vi/${encodeURIComponent(item.id)}/hqdefault.jpg`,
+    fallback: 'image'
+  },
+  vimeo: {
+    element: 'iframe',
+    consent: true,
+    provider: () => 'Vimeo',
+    match: src => /(^|\.)vimeo\.com$/.test(hostOf(src)),
+    id: vimeoIdFromUrl,
+    embedUrl: (item, autoplay) => `https://player.vimeo.com/video/${encodeURIComponent(item.id)}?autoplay=${autoplay ? 1 : 0}${autoplay ? '&muted=1' : ''}`,
+    thumbnail: item => item.poster || '',
+    fallback: 'image'
+  },
+  video: {
+    element: 'video',
+    match: src => /\.(mp4|webm|ogg)(\?|#|$)/i.test(src),
+    embedUrl: item => item.src,
+    thumbnail: item => item.poster || '',
+    fallback: 'image'
+  },
+  image: {
+    element: 'img',
+    match: src => /\.(png|jpe?g|gif|svg|webp|avif)(\?|#|$)/i.test(src),
+    embedUrl: item => item.src,
+    thumbnail: item => item.src,
+    fallback: 'none'
+  },
+  // any other page (e.g. a live demo with `embeddable: true`); sites that refuse framing are
+  // detected by the load timeout and replaced by the demo button
+  iframe: {
+    element: 'iframe',
+    consent: true,
+    provider: item => friendlyLabelForUrl(item.src),
+    match: () => false,
+    embedUrl: item => item.src,
+    thumbnail: () => '',
+    fallback: 'link',
+    loadTimeout: 1600
+  }
+}
+
+// `type: 'youtube-nocookie'` in content names the same player
+EMBED_PROVIDERS['youtube-nocookie'] = EMBED_PROVIDERS.youtube
+
+function mediaProvider(item) {
+  return EMBED_PROVIDERS[item.type] || EMBED_PROVIDERS.iframe
+}
+
+// Type of a bare URL: the first provider that recognises it; other pages are generic iframes
+// and a plain string without a scheme is a YouTube id
+function detectMediaType(src) {
+  const type = Object.keys(EMBED_PROVIDERS).find(t => EMBED_PROVIDERS[t].match(src))
+  if (type) return type
+  return /^https?:/i.test(src) ? 'iframe' : 'youtube'
+}
+
+// --- Images --------------------------------------------------------------
+// A <picture> whose file fails to load (e.g. a URL images.json knows nothing about) becomes the
+// same generated tile pictureHtml() renders for files that are missing at build time
+function watchPicture(img) {
+  const toTile = () => {
+    const picture = img.parentNode
+    if (picture) picture.outerHTML = PortfolioRender.imageTileHtml(img.getAttribute('alt'), picture.className)
+  }
+  // a pre-rendered image may have failed before this script ran
+  if (img.complete && !img.naturalWidth && img.getAttribute('src')) return toTile()
+  img.addEventListener('error', toTile, { once: true })
+}
+
+// A profile photo that fails to load (variants included) falls back to the GitHub avatar
+function watchProfilePhoto(img) {
+  const FALLBACK_AVATAR = PortfolioRender.FALLBACK_AVATAR
+  const toAvatar = () => {
+    img.onerror = null
+    if (img.parentNode) img.parentNode.querySelectorAll('source').forEach(source => source.remove())
+    img.style.backgroundImage = ''
+    img.setAttribute('src', FALLBACK_AVATAR)
+  }
+  if (img.getAttribute('src') === FALLBACK_AVATAR) return
+  // a pre-rendered photo may have failed before this script ran
+  if (img.complete && !img.naturalWidth && img.getAttribute('src')) return toAvatar()
+  img.onerror = toAvatar
+}
+
+// the stage spans the content column (max-width of main minus its padding)
+const STAGE_IMAGE_SIZES = '(max-width: 1100px) 100vw, 1060px'
+
+// Show an image on the showcase stage with its images.json variants, intrinsic size and
+// placeholder; `onFail` runs when the file is known to be missing or fails to load
+function showStageImage(src, alt, onFail) {
+  const img = document.getElementById('projectImg')
+  if (!img) return
+  const entry = PortfolioRender.imageEntry(images, src)
+  if (entry && entry.missing) return onFail()
+  const srcset = (entry && entry.srcset) || {}
+  img.parentNode.querySelectorAll('source').forEach(source => source.remove())
+  ;['avif', 'webp'].filter(type => srcset[type]).forEach(type => {
+    const source = document.createElement('source')
+    source.setAttribute('type', `image/${type}`)
+    source.setAttribute('srcset', srcset[type])
+    source.setAttribute('sizes', STAGE_IMAGE_SIZES)
+    img.parentNode.insertBefore(source, img)
+  })
+  if (entry && entry.width && entry.height) {
+    img.setAttribute('width', String(entry.width))
+    img.setAttribute('height', String(entry.height))
+  } else {
+    img.removeAttribute('width')
+    img.removeAttribute('height')
+  }
+  img.style.backgroundImage = entry && entry.placeholder ? `url("${entry.placeholder}")` : ''
+  img.onerror = onFail
+  img.setAttribute('src', src)
+  img.setAttribute('alt', alt)
+  img.classList.remove('hidden')
+}
+
+// The generated tile standing in for a project without a usable image
+function showProjectTile(p) {
+  const tile = document.querySelector('.project-tile')
+  if (!tile) return
+  tile.innerHTML = PortfolioRender.imageTileHtml((p && p.title) || strings.showcase_title || 'Project')
+  tile.classList.remove('hidden')
+}
+
+// --- Media carousel ------------------------------------------------------
+// Projects may declare `media: [{ type, src | id, caption, thumbnail, poster }]` (types are the
+// EMBED_PROVIDERS keys). Projects without `media` get a single item from their legacy fields.
+const projectMediaById = new Map()
+let mediaItems = []
+let mediaIndex = 0
+// pending load-timeout check of the generic iframe provider
+let mediaLoadTimer = null
+// localStorage key (next to `theme` and `lang`) remembering that third-party embeds may load
+const EMBED_CONSENT_KEY = 'embeds'
+
+function embedsAllowed() {
+  return localStorage.getItem(EMBED_CONSENT_KEY) === 'allow'
+}
+
+function normalizeMediaItem(m) {
+  if (!m) return null
+  const item = typeof m === 'string' ? { src: m } : { ...m }
+  const src = item.src || item.url || ''
+  if (!item.type) item.type = detectMediaType(src || item.id || '')
+  const provider = mediaProvider(item)
+  if (provider.id) item.id = item.id || provider.id(src)
+  item.src = src
+  item.caption = item.caption || ''
+  return (item.id || item.src) ? item : null
+}
+
+// youtube_embed may be a template ('.../embed/{{id}}' filled from youtube_id) or a full URL
+function legacyVideoSource(p) {
+  if (p.youtube_embed && p.youtube_embed.includes('{{id}}')) return p.youtube_id ? p.youtube_embed.replace('{{id}}', p.youtube_id) : ''
+  return p.videoId || p.video_id || p.youtube_id || p.youtubeId || p.video_url || p.embed || p.embed_url || p.youtube_embed || ''
+}
+
+function projectMedia(p) {
+  if (Array.isArray(p.media)) return p.media.map(normalizeMediaItem).filter(Boolean)
+  const items = []
+  const video = legacyVideoSource(p)
+  if (video) items.push(normalizeMediaItem(video))
+  // a live demo is only framed when the project says its site allows it
+  else if (p.embeddable && demoUrlOf(p)) items.push({ type: 'iframe', src: demoUrlOf(p), caption: '' })
+  else if (p.image) items.push({ type: 'image', src: p.image, caption: '' })
+  return items.filter(Boolean)
+}
+
+function mediaEmbedUrl(item, autoplay) {
+  return mediaProvider(item).embedUrl(item, autoplay)
+}
+
+// A provider's own thumbnail (i.ytimg.com, ...) is a third-party request as well, so a
+// consent-gated item shows only the thumbnail its content names until embeds are allowed; the
+// facade then falls back to the project image
+function mediaThumbnail(item) {
+  if (item.thumbnail) return item.thumbnail
+  const provider = mediaProvider(item)
+  return provider.consent && !embedsAllowed() ? '' : provider.thumbnail(item) || ''
+}
+
+// Rebuild the thumbnail strip for the selected card (hidden for single-item projects)
+function renderMediaCarousel(card) {
+  mediaItems = projectMediaById.get(card.getAttribute('data-project-id')) || []
+  mediaIndex = 0
+  clearMediaStage()
+  const thumbs = document.querySelector('.media-thumbs')
+  const multi = mediaItems.length > 1
+  document.querySelectorAll('.media-nav').forEach(b => {
+    b.classList.toggle('hidden', !multi)
+    const label = b.classList.contains('media-prev') ? strings.media_prev : strings.media_next
+    if (label) b.setAttribute('aria-label', label)
+  })
+  const caption = document.querySelector('.media-caption')
+  if (caption) { caption.textContent = ''; caption.classList.add('hidden') }
+  if (!thumbs) return
+  thumbs.innerHTML = ''
+  thumbs.classList.toggle('hidden', !multi)
+  if (strings.media_thumbs_label) thumbs.setAttribute('aria-label', strings.media_thumbs_label)
+  if (!multi) return
+  mediaItems.forEach((item, idx) => {
+    const btn = document.createElement('button')
+    btn.type = 'button'
+    btn.className = `media-thumb media-thumb-${item.type}`
+    btn.setAttribute('data-index', String(idx))
+    btn.setAttribute('aria-label', item.caption || `${idx + 1} / ${mediaItems.length}`)
+    const src = mediaThumbnail(item)
+    if (src) {
+      const img = document.createElement('img')
+      img.setAttribute('loading', 'lazy')
+      img.setAttribute('decoding', 'async')
+      img.setAttribute('alt', '')
+      img.setAttribute('src', src)
+      btn.appendChild(img)
     } else {
-      demoLinkEl.setAttribute('href', '')
-      demoLinkEl.classList.add('hidden')
-      demoLinkEl.textContent = ''
+      btn.textContent = mediaProvider(item).element === 'video' ? '▶' : String(idx + 1)
     }
-  }
-  const iframeEl = document.getElementById('ytFrame')
+    thumbs.appendChild(btn)
+  })
+}
+
+// Accessible name of the stage element: the project and the item's caption or provider
+// (projects_a11y.media_title), so "YouTube video" alone never has to identify a demo
+function mediaTitle(item) {
+  const p = projectById(selectedProjectId)
+  const title = (p && p.title) || strings.showcase_title || 'Project'
+  const provider = mediaProvider(item)
+  const media = item.caption || (provider.provider ? provider.provider(item) : '')
+  if (!media) return title
+  return (resolveKey(strings, 'projects_a11y.media_title') || '{title}: {media}').replace('{title}', title).replace('{media}', media)
+}
+
+// The iframe only exists while an embed is shown, so nothing third-party loads before that
+function createMediaIframe(item) {
+  const stage = document.querySelector('.showcase-placeholder')
+  if (!stage) return null
+  const iframe = document.createElement('iframe')
+  iframe.id = 'ytFrame'
+  iframe.setAttribute('title', mediaTitle(item))
+  iframe.setAttribute('allow', 'autoplay; fullscreen; picture-in-picture')
+  iframe.setAttribute('allowfullscreen', '')
+  iframe.setAttribute('loading', 'lazy')
+  stage.insertBefore(iframe, stage.firstChild)
+  return iframe
+}
+
+function clearMediaStage() {
+  clearTimeout(mediaLoadTimer)
+  const iframe = document.getElementById('ytFrame')
   const projectImg = document.getElementById('projectImg')
-  const imgSrc = card.getAttribute('data-image') || ''
-  const vid = card.getAttribute('data-video-id') || card.getAttribute('data-youtube') || card.getAttribute('data-demo-link') || ''
-  if (!vid && imgSrc) {
-    if (iframeEl) iframeEl.setAttribute('src', '')
-    if (projectImg) {
-      projectImg.setAttribute('src', imgSrc)
-      projectImg.classList.remove('hidden')
+  const video = document.getElementById('projectVideo')
+  const facade = document.querySelector('.media-facade')
+  if (iframe) iframe.remove()
+  if (facade) { facade.classList.add('hidden'); facade.style.backgroundImage = '' }
+  const tile = document.querySelector('.project-tile')
+  if (projectImg) {
+    projectImg.onerror = null
+    projectImg.parentNode.querySelectorAll('source').forEach(source => source.remove())
+    projectImg.setAttribute('src', '')
+    projectImg.classList.add('hidden')
+  }
+  if (tile) { tile.innerHTML = ''; tile.classList.add('hidden') }
+  if (video) { video.onerror = null; video.pause && video.pause(); video.removeAttribute('src'); video.classList.add('hidden') }
+}
+
+// What a provider shows instead of an item that failed to load
+function showMediaFallback(provider) {
+  clearMediaStage()
+  const p = projectById(selectedProjectId)
+  // the project's image, else (and when that fails too) the generated tile; a refused demo
+  // frame points at the demo button instead
+  if (provider.fallback !== 'none' && p && p.image) {
+    showStageImage(p.image, p.image_alt || p.title || '', () => { clearMediaStage(); showProjectTile(p) })
+  } else if (provider.fallback !== 'link' && p) {
+    showProjectTile(p)
+  }
+  if (provider.fallback === 'link' && demoUrlOf(p)) {
+    updateDemoLink(p, true)
+    const demoEl = document.getElementById('projectDemoLink')
+    if (demoEl) demoEl.focus({ preventScroll: true })
+  }
+}
+
+// Click-to-load placeholder: thumbnail, play button and a notice naming the third party.
+// Playing with "remember my choice" ticked stores the consent for later visits.
+function showMediaFacade(item, provider) {
+  const facade = document.querySelector('.media-facade')
+  if (!facade) return
+  const labels = strings.embed_consent || {}
+  const thumb = mediaThumbnail(item) || (projectById(selectedProjectId) || {}).image || ''
+  facade.style.backgroundImage = thumb ? `url("${thumb.replace(/"/g, '%22')}")` : ''
+  const play = facade.querySelector('.media-facade-play')
+  const label = provider.element === 'iframe' && !provider.thumbnail(item) ? labels.load : labels.play
+  if (play) {
+    play.textContent = label || 'Play'
+    play.setAttribute('aria-label', `${label || 'Play'}: ${item.caption || provider.provider(item)}`)
+  }
+  const notice = facade.querySelector('.media-facade-notice')
+  if (notice) notice.textContent = (labels.notice || '{provider}').replace(/{provider}/g, provider.provider(item))
+  const check = facade.querySelector('.media-facade-check')
+  if (check) check.checked = false
+  facade.classList.remove('hidden')
+}
+
+function initMediaFacade() {
+  const facade = document.querySelector('.media-facade')
+  const play = facade && facade.querySelector('.media-facade-play')
+  if (!play) return
+  play.addEventListener('click', () => {
+    const check = facade.querySelector('.media-facade-check')
+    if (check && check.checked) localStorage.setItem(EMBED_CONSENT_KEY, 'allow')
+    const item = mediaItems[mediaIndex]
+    if (!item) return
+    track('media_play', { project: selectedProjectId, type: item.type })
+    clearMediaStage()
+    loadMediaItem(item, mediaProvider(item), true)
+  })
+}
+
+// Put the item itself on the stage (no consent check)
+function loadMediaItem(item, provider, autoplay) {
+  const url = mediaEmbedUrl(item, autoplay)
+  if (provider.element === 'img') {
+    showStageImage(url, mediaTitle(item), () => showMediaFallback(provider))
+  } else if (provider.element === 'video') {
+    const video = document.getElementById('projectVideo')
+    if (video) {
+      if (item.poster) video.setAttribute('poster', item.poster)
+      else video.removeAttribute('poster')
+      video.onerror = () => showMediaFallback(provider)
+      video.setAttribute('aria-label', mediaTitle(item))
+      video.setAttribute('src', url)
+      video.classList.remove('hidden')
+      if (autoplay && video.play) video.play().catch(() => {})
     }
   } else {
-    if (projectImg) { projectImg.setAttribute('src', ''); projectImg.classList.add('hidden') }
+    const iframe = createMediaIframe(item)
+    if (iframe) {
+      if (provider.loadTimeout) {
+        let loaded = false
+        iframe.onload = () => { loaded = true }
+        mediaLoadTimer = setTimeout(() => {
+          if (loaded) return
+          console.warn('iframe failed to load or blocked; falling back for', url)
+          showMediaFallback(provider)
+        }, provider.loadTimeout)
+      }
+      iframe.setAttribute('src', url)
+    }
   }
-  // Scroll and focus only when explicitly requested (e.g., user click/keyboard interaction)
-  if (scroll) {
-    const showcase = document.querySelector('.showcase-wrapper')
-    if (showcase) {
-      try { showcase.scrollIntoView({ behavior: 'smooth', block: 'start' }) } catch (err) { showcase.scrollIntoView() }
-      // for accessibility focus on the main element inside the showcase
-      const focusable = document.getElementById('projectDemoLink') || document.getElementById('ytFrame')
-      if (focusable) focusable.focus({ preventScroll: true })
+}
+
+// Show one media item in the showcase stage; only the visible item is ever loaded, and
+// third-party items wait behind a facade until the visitor agrees
+function showMedia(index, autoplay = false) {
+  if (!mediaItems.length) return
+  mediaIndex = (index + mediaItems.length) % mediaItems.length
+  const item = mediaItems[mediaIndex]
+  const provider = mediaProvider(item)
+  clearMediaStage()
+  if (provider.consent && !embedsAllowed()) showMediaFacade(item, provider)
+  else loadMediaItem(item, provider, autoplay)
+  const caption = document.querySelector('.media-caption')
+  if (caption) { caption.textContent = item.caption; caption.classList.toggle('hidden', !item.caption) }
+  document.querySelectorAll('.media-thumb').forEach(b => {
+    const isCurrent = Number(b.getAttribute('data-index')) === mediaIndex
+    b.classList.toggle('active', isCurrent)
+    b.setAttribute('aria-current', isCurrent ? 'true' : 'false')
+  })
+}
+
+function stepMedia(delta) {
+  if (mediaItems.length > 1) showMedia(mediaIndex + delta, false)
+}
+
+// Show the selected card's media (its first item); cards without media keep an empty stage
+function showCardMedia(card, autoplay = false) {
+  if (mediaItems.length) showMedia(0, autoplay)
+}
+
+// Wire arrows, thumbnails, keyboard and swipe once; the strip itself is rebuilt per project
+function initMediaCarousel() {
+  const wrapper = document.querySelector('.showcase-wrapper')
+  if (!wrapper) return
+  const prev = wrapper.querySelector('.media-prev')
+  const next = wrapper.querySelector('.media-next')
+  if (prev) prev.addEventListener('click', () => stepMedia(-1))
+  if (next) next.addEventListener('click', () => stepMedia(1))
+  const thumbs = wrapper.querySelector('.media-thumbs')
+  if (thumbs) {
+    thumbs.addEventListener('click', (e) => {
+      const btn = e.target.closest && e.target.closest('.media-thumb')
+      if (btn) showMedia(Number(btn.getAttribute('data-index')), true)
+    })
+  }
+  wrapper.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft') { e.preventDefault(); stepMedia(-1) }
+    else if (e.key === 'ArrowRight') { e.preventDefault(); stepMedia(1) }
+  })
+  const stage = wrapper.querySelector('.showcase-placeholder')
+  if (stage) {
+    let startX = null
+    stage.addEventListener('touchstart', (e) => { startX = e.touches[0].clientX }, { passive: true })
+    stage.addEventListener('touchend', (e) => {
+      if (startX === null) return
+      const dx = e.changedTouches[0].clientX - startX
+      startX = null
+      if (Math.abs(dx) > 40) stepMedia(dx < 0 ? 1 : -1)
+    })
+  }
+}
+
+// --- Project filters -----------------------------------------------------
+// Technology tags, free-text search and sort order for the projects grid. The active filters
+// live in the query string (`?q=&tags=PyTorch,Angular&sort=newest`) so they survive reloads
+// and language switches. A sort is only offered when some project has its field: `date` (ISO)
+// for "newest", `featured` for "featured".
+const PROJECT_SORTS = { '': () => true, newest: p => !!p.date, featured: p => !!p.featured }
+
+function availableProjectSorts() {
+  return Object.keys(PROJECT_SORTS).filter(sort => projects.some(PROJECT_SORTS[sort]))
+}
+
+function readProjectFilters() {
+  const params = new URLSearchParams(window.location.search)
+  const sort = params.get('sort') || ''
+  return {
+    q: params.get('q') || '',
+    tags: (params.get('tags') || '').split(',').map(t => t.trim()).filter(Boolean),
+    sort: availableProjectSorts().includes(sort) ? sort : ''
+  }
+}
+
+function writeProjectFilters(filters) {
+  if (!window.history || !window.history.replaceState) return
+  const params = new URLSearchParams(window.location.search)
+  const set = (k, v) => { if (v) params.set(k, v); else params.delete(k) }
+  set('q', filters.q)
+  set('tags', filters.tags.join(','))
+  set('sort', filters.sort)
+  const query = params.toString()
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`)
+}
+
+function projectTechnologies() {
+  const all = new Map()
+  projects.forEach(p => (Array.isArray(p.technologies) ? p.technologies : []).forEach(t => {
+    if (!all.has(t.toLowerCase())) all.set(t.toLowerCase(), t)
+  }))
+  return Array.from(all.values()).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+}
+
+function projectMatches(p, filters) {
+  const techs = (p.technologies || []).map(t => t.toLowerCase())
+  if (filters.tags.length && !filters.tags.some(t => techs.includes(t.toLowerCase()))) return false
+  if (!filters.q) return true
+  const haystack = [p.title, p.short_description, p.long_description].filter(Boolean).join(' ').toLowerCase()
+  return filters.q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term))
+}
+
+function sortProjectEntries(entries, sort) {
+  const sorted = entries.slice()
+  if (sort === 'newest') {
+    // dated projects first (most recent on top), undated keep their file order
+    sorted.sort((a, b) => String(b.p.date || '').localeCompare(String(a.p.date || '')) || a.idx - b.idx)
+  } else if (sort === 'featured') {
+    sorted.sort((a, b) => (b.p.featured ? 1 : 0) - (a.p.featured ? 1 : 0) || a.idx - b.idx)
+  }
+  return sorted
+}
+
+// (Re)build the filter bar for the current language; the inputs keep the URL state
+function renderProjectFilters() {
+  const bar = document.querySelector('.projects-filter')
+  if (!bar) return
+  const filters = readProjectFilters()
+  const labels = strings.projects_filter || {}
+  const search = bar.querySelector('#projectSearch')
+  if (search) {
+    search.value = filters.q
+    if (labels.search_placeholder) {
+      search.setAttribute('placeholder', labels.search_placeholder)
+      search.setAttribute('aria-label', labels.search_placeholder)
     }
   }
+  const sort = bar.querySelector('#projectSort')
+  if (sort) {
+    if (labels.sort_label) sort.setAttribute('aria-label', labels.sort_label)
+    const sorts = availableProjectSorts()
+    sort.querySelectorAll('option').forEach(o => {
+      const label = labels[`sort_${o.value || 'default'}`]
+      if (label) o.textContent = label
+      o.hidden = o.disabled = !sorts.includes(o.value)
+    })
+    // nothing to choose from without dates or featured projects
+    sort.hidden = sorts.length < 2
+    sort.value = filters.sort
+  }
+  const tags = bar.querySelector('.filter-tags')
+  if (tags) {
+    tags.innerHTML = ''
+    if (labels.tags_label) tags.setAttribute('aria-label', labels.tags_label)
+    const active = filters.tags.map(t => t.toLowerCase())
+    projectTechnologies().forEach(t => {
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = 'filter-tag'
+      btn.setAttribute('data-tag', t)
+      btn.setAttribute('aria-pressed', active.includes(t.toLowerCase()) ? 'true' : 'false')
+      btn.textContent = t
+      tags.appendChild(btn)
+    })
+  }
 }
 
-function replacePlaceholders(obj, profile) {
-  if (!obj) return obj
-  if (typeof obj === 'string') {
-    return obj.replace(/{{\s*([^}]+)\s*}}/g, (_, k) => {
-      const key = k.trim()
-      switch (key) {
-        case 'full_name_from_external_file': return profile.fullName || ''
-        case 'email_from_external_file': return profile.email || ''
-        case 'phone_from_external_file': return profile.phone || ''
-        default: return profile[key] || ''
-      }
+// Show/hide and reorder the rendered cards; re-select when the active card gets filtered out
+function applyProjectFilters(reselect = true) {
+  const grid = document.querySelector('.projects-grid')
+  if (!grid) return
+  const filters = readProjectFilters()
+  const entries = projects.map((p, idx) => ({ p, idx, card: findProjectCard(projectIdOf(p, idx)) })).filter(e => e.card)
+  let visibleCount = 0
+  sortProjectEntries(entries, filters.sort).forEach(e => {
+    e.card.hidden = !projectMatches(e.p, filters)
+    if (!e.card.hidden) visibleCount++
+    grid.appendChild(e.card)
+  })
+  const empty = document.querySelector('.projects-empty')
+  if (empty) empty.classList.toggle('hidden', visibleCount > 0)
+  syncSkillFilter(filters)
+  syncProjectTabStop()
+  if (!reselect) return
+  const active = document.querySelector('.project-card.active')
+  if (!active || active.hidden) {
+    const first = projectCards().find(c => !c.hidden)
+    if (first) { selectProject(first, false); showCardMedia(first, false) }
+  }
+}
+
+// Clears the search and tags when they hide `card`, so a project link always shows its project
+function revealProjectCard(card) {
+  if (!card || !card.hidden) return card
+  writeProjectFilters({ ...readProjectFilters(), q: '', tags: [] })
+  renderProjectFilters()
+  applyProjectFilters(false)
+  return card
+}
+
+function updateProjectFilters(change) {
+  writeProjectFilters({ ...readProjectFilters(), ...change })
+  applyProjectFilters()
+}
+
+function initProjectFilters() {
+  const bar = document.querySelector('.projects-filter')
+  if (!bar) return
+  const search = bar.querySelector('#projectSearch')
+  if (search) search.addEventListener('input', () => updateProjectFilters({ q: search.value.trim() }))
+  const sort = bar.querySelector('#projectSort')
+  if (sort) sort.addEventListener('change', () => updateProjectFilters({ sort: sort.value }))
+  const tags = bar.querySelector('.filter-tags')
+  if (tags) {
+    tags.addEventListener('click', (e) => {
+      const btn = e.target.closest && e.target.closest('.filter-tag')
+      if (!btn) return
+      const tag = btn.getAttribute('data-tag')
+      const pressed = btn.getAttribute('aria-pressed') !== 'true'
+      btn.setAttribute('aria-pressed', pressed ? 'true' : 'false')
+      const current = readProjectFilters().tags.filter(t => t.toLowerCase() !== tag.toLowerCase())
+      updateProjectFilters({ tags: pressed ? current.concat(tag) : current })
     })
   }
-  if (Array.isArray(obj)) {
-    return obj.map(v => replacePlaceholders(v, profile))
+  const clear = bar.querySelector('.filter-clear')
+  if (clear) {
+    clear.addEventListener('click', () => {
+      updateProjectFilters({ q: '', tags: [], sort: '' })
+      renderProjectFilters()
+    })
   }
-  if (typeof obj === 'object') {
-    const out = {}
-    for (const k in obj) { out[k] = replacePlaceholders(obj[k], profile) }
-    return out
+}
+
+// --- Skills <-> projects --------------------------------------------------
+// A skill button filters the grid by the project technologies it covers (the same `tags`
+// filter as the tag bar); the selected project's tech chips link back to `#skill-<id>`, and the
+// chips on the cards (tabs, which may not contain links) jump there on click.
+function findSkill(id) {
+  return (strings.skills || []).find(s => s && PortfolioRender.skillIdOf(s) === id) || null
+}
+
+// the skill's technologies as spelled in the projects, so the tag bar shows them as active
+function skillFilterTags(skill) {
+  const known = new Map(projectTechnologies().map(t => [t.toLowerCase(), t]))
+  return PortfolioRender.skillTechnologies(skill).map(t => known.get(t.toLowerCase())).filter(Boolean)
+}
+
+function sameTags(a, b) {
+  const norm = list => list.map(t => t.toLowerCase()).sort().join('|')
+  return norm(a) === norm(b)
+}
+
+function syncSkillFilter(filters = readProjectFilters()) {
+  document.querySelectorAll('.skills-list .skills-chip[data-skill]').forEach(btn => {
+    const skill = findSkill(btn.getAttribute('data-skill'))
+    const active = !!skill && filters.tags.length > 0 && sameTags(skillFilterTags(skill), filters.tags)
+    btn.setAttribute('aria-pressed', active ? 'true' : 'false')
+  })
+}
+
+function toggleSkillFilter(id) {
+  const skill = findSkill(id)
+  if (!skill) return
+  const tags = skillFilterTags(skill)
+  const active = sameTags(tags, readProjectFilters().tags)
+  updateProjectFilters({ tags: active ? [] : tags })
+  renderProjectFilters()
+  if (!active) scrollToSection('projects')
+}
+
+function goToSkill(id) {
+  goToElement(document.getElementById(`skill-${id}`))
+}
+
+function initSkillLinks() {
+  const list = document.querySelector('.skills-list')
+  if (!list) return
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest && e.target.closest('.skills-chip[data-skill]')
+    if (btn) toggleSkillFilter(btn.getAttribute('data-skill'))
+  })
+}
+
+// --- Contact -------------------------------------------------------------
+// The form, copy button and vCard button come from contactHtml() in render.js. A message is
+// delivered by the adapter named in settings.contactForm.adapter; post and formspree need an
+// endpoint and fall back to mailto without one. send() resolves to the contact.form key of the
+// status to show, or throws.
+const CONTACT_SENT_KEY = 'contactSent'
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const CONTACT_ADAPTERS = {
+  mailto: {
+    needsEndpoint: false,
+    async send(fields) {
+      const to = contactEmail()
+      if (!to) throw new Error('no email address in profile.json or contact.email')
+      const subject = `${fields.name} — ${window.location.hostname || 'portfolio'}`
+      const body = `${fields.message}\n\n${fields.name} <${fields.email}>`
+      window.location.href = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`
+      return 'mailto_opened'
+    }
+  },
+  // form-encoded, i.e. a "simple" request most form backends accept without a CORS preflight
+  post: {
+    needsEndpoint: true,
+    async send(fields, config) {
+      const res = await fetch(config.endpoint, { method: 'POST', body: new URLSearchParams(fields) })
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      return 'sent'
+    }
+  },
+  // Formspree-style JSON API: { ok: true } or { errors: [{ message }] }
+  formspree: {
+    needsEndpoint: true,
+    async send(fields, config) {
+      const res = await fetch(config.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ ...fields, _subject: `${fields.name} — ${window.location.hostname || 'portfolio'}` })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok || data.ok === false) throw new Error((data.errors || []).map(e => e.message).join(', ') || `HTTP ${res.status}`)
+      return 'sent'
+    }
   }
-  return obj
+}
+
+function contactEmail() {
+  return profile.email || (strings.contact && strings.contact.email) || ''
+}
+
+function contactConfig() {
+  const config = { adapter: 'mailto', endpoint: '', rateLimitSeconds: 60, ...(settings.contactForm || {}) }
+  const adapter = CONTACT_ADAPTERS[config.adapter]
+  if (!adapter || (adapter.needsEndpoint && !config.endpoint)) config.adapter = 'mailto'
+  return config
+}
+
+function contactText(key, n) {
+  const text = resolveKey(strings, `contact.form.${key}`)
+  return n == null ? text : text.replace('{n}', n)
+}
+
+// The trimmed fields, or null after marking the invalid ones and focusing the first of them
+function validateContactForm(form) {
+  const fields = {}
+  let firstInvalid = null
+  ;['name', 'email', 'message'].forEach(name => {
+    const input = form.elements[name]
+    const value = input.value.trim()
+    const min = Number(input.getAttribute('minlength')) || 0
+    let error = ''
+    if (!value) error = contactText('errors.required')
+    else if (name === 'email' && !EMAIL_RE.test(value)) error = contactText('errors.email')
+    else if (value.length < min) error = contactText('errors.too_short', min)
+    const hint = form.querySelector(`#${input.id}-error`)
+    hint.textContent = error
+    hint.hidden = !error
+    if (error) {
+      input.setAttribute('aria-invalid', 'true')
+      input.setAttribute('aria-describedby', hint.id)
+      firstInvalid = firstInvalid || input
+    } else {
+      input.removeAttribute('aria-invalid')
+      input.removeAttribute('aria-describedby')
+    }
+    fields[name] = value
+  })
+  if (firstInvalid) firstInvalid.focus()
+  return firstInvalid ? null : fields
+}
+
+// Seconds left before this browser may send another message
+function contactWait(config) {
+  const last = Number(localStorage.getItem(CONTACT_SENT_KEY)) || 0
+  return Math.max(0, Math.ceil((last + config.rateLimitSeconds * 1000 - Date.now()) / 1000))
+}
+
+async function submitContactForm(form) {
+  const status = form.querySelector('.form-status')
+  const button = form.querySelector('.contact-send')
+  const setStatus = (key, n, state) => {
+    status.textContent = key ? contactText(key, n) : ''
+    status.dataset.state = state || ''
+  }
+  // only bots fill the honeypot: look successful, send nothing
+  if (form.elements._gotcha && form.elements._gotcha.value) {
+    form.reset()
+    return setStatus('sent', null, 'ok')
+  }
+  const fields = validateContactForm(form)
+  if (!fields) return setStatus('')
+  const config = contactConfig()
+  const wait = contactWait(config)
+  if (wait) return setStatus('rate_limited', wait, 'error')
+  button.disabled = true
+  setStatus('sending')
+  try {
+    const result = await CONTACT_ADAPTERS[config.adapter].send({ ...fields, lang: currentLang }, config)
+    localStorage.setItem(CONTACT_SENT_KEY, String(Date.now()))
+    if (result === 'sent') form.reset()
+    setStatus(result, null, 'ok')
+  } catch (err) {
+    console.warn('Contact form delivery failed', err)
+    setStatus('failed', null, 'error')
+  } finally {
+    button.disabled = false
+  }
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch (err) {
+    // no Clipboard API (or no permission): copy through a selected textarea
+    const area = document.createElement('textarea')
+    area.value = text
+    area.setAttribute('readonly', '')
+    area.style.position = 'fixed'
+    area.style.opacity = '0'
+    document.body.appendChild(area)
+    area.select()
+    const copied = typeof document.execCommand === 'function' && document.execCommand('copy')
+    document.body.removeChild(area)
+    return !!copied
+  }
+}
+
+function downloadVCard() {
+  const blobUrl = URL.createObjectURL(new Blob([PortfolioRender.vCard(profile)], { type: 'text/vcard' }))
+  const temp = document.createElement('a')
+  temp.href = blobUrl
+  temp.setAttribute('download', `${(profile.fullName || 'contact').replace(/\s+/g, '_')}.vcf`)
+  document.body.appendChild(temp)
+  temp.click()
+  document.body.removeChild(temp)
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 1000)
+}
+
+// Hook of the contact section: listeners live on the container, which survives re-renders
+function initContactForm() {
+  const box = document.querySelector('.contact-box')
+  if (!box) return
+  // mailto without an address to send to cannot deliver anything
+  const form = box.querySelector('.contact-form')
+  if (form) form.hidden = contactConfig().adapter === 'mailto' && !contactEmail()
+  if (box.dataset.delegated) return
+  box.dataset.delegated = '1'
+  box.addEventListener('submit', (e) => {
+    const target = e.target.closest && e.target.closest('.contact-form')
+    if (!target) return
+    e.preventDefault()
+    submitContactForm(target)
+  })
+  box.addEventListener('click', async (e) => {
+    if (e.target.closest('.contact-vcard')) return downloadVCard()
+    const copy = e.target.closest('.contact-copy')
+    if (!copy || !(await copyText(copy.getAttribute('data-email')))) return
+    copy.textContent = resolveKey(strings, 'contact.copied') || 'Copied!'
+    clearTimeout(copy.resetTimer)
+    copy.resetTimer = setTimeout(() => { copy.textContent = resolveKey(strings, 'contact.copy_email') }, 1600)
+  })
+}
+
+// --- Routing -------------------------------------------------------------
+// Deep links: `#/projects/<project_id>` opens a project in the showcase, `#skills` / `#/skills`
+// scroll to a section and `?lang=<code>` picks the content language.
+const PROJECT_ROUTE_PREFIX = '#/projects/'
+
+// A malformed escape (#/projects/100%) is read undecoded instead of aborting the page
+function decodeHash(hash) {
+  try {
+    return decodeURIComponent(hash)
+  } catch (err) {
+    return hash
+  }
+}
+
+function parseRoute(loc = window.location) {
+  const hash = decodeHash(loc.hash || '')
+  const params = new URLSearchParams(loc.search || '')
+  const route = { lang: params.get('lang') || '', projectId: '', section: '' }
+  if (hash.startsWith(PROJECT_ROUTE_PREFIX)) {
+    route.projectId = hash.slice(PROJECT_ROUTE_PREFIX.length).split('/')[0]
+    route.section = 'projects'
+  } else if (hash.length > 1) {
+    route.section = hash.replace(/^#\/?/, '').split('/')[0]
+  }
+  return route
+}
+
+function findProjectCard(projectId) {
+  if (!projectId) return null
+  return projectCards().find(c => c.getAttribute('data-project-id') === projectId) || null
+}
+
+function projectRouteUrl(projectId) {
+  return `${window.location.pathname}${window.location.search}${PROJECT_ROUTE_PREFIX}${encodeURIComponent(projectId)}`
+}
+
+function pushProjectRoute(projectId) {
+  if (!projectId || !window.history || !window.history.pushState) return
+  // clicking the already routed card should not stack duplicate history entries
+  if (parseRoute().projectId === projectId) return
+  window.history.pushState({ projectId }, '', projectRouteUrl(projectId))
+}
+
+// Reflect the active language in `?lang=` without adding a history entry
+function replaceLangParam(lang) {
+  if (!window.history || !window.history.replaceState) return
+  const params = new URLSearchParams(window.location.search)
+  if (params.get('lang') === lang) return
+  params.set('lang', lang)
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}?${params.toString()}${window.location.hash}`)
+}
+
+// Smooth scrolling only for visitors who don't ask for reduced motion (styles.css does the same
+// for the animations)
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null
+
+function scrollBehavior() {
+  return reducedMotionQuery && reducedMotionQuery.matches ? 'auto' : 'smooth'
+}
+
+function scrollToSection(section) {
+  const el = section && document.getElementById(section)
+  if (!el) return
+  try { el.scrollIntoView({ behavior: scrollBehavior(), block: 'start' }) } catch (err) { el.scrollIntoView() }
+}
+
+// Apply the current URL (or a popped history state) to the page
+function applyRoute(state) {
+  const route = parseRoute()
+  const projectId = route.projectId || (state && state.projectId) || ''
+  const card = findProjectCard(projectId)
+  // a project remembered in history stays unselected while the filters hide it
+  if (card && (route.projectId || !card.hidden)) {
+    // activateCard scrolls to the showcase only for explicit project routes
+    if (route.projectId) return activateCard(card, false)
+    selectProject(card, false)
+    showCardMedia(card, settings.defaultAutoplay)
+  }
+  if (route.section && !route.projectId) scrollToSection(route.section)
+}
+
+function initRouter() {
+  // remember the initial selection so going back to the entry page restores it
+  if (window.history && window.history.replaceState) {
+    window.history.replaceState({ ...(window.history.state || {}), projectId: selectedProjectId }, '')
+  }
+  window.addEventListener('popstate', (e) => applyRoute(e.state))
+  // content renders asynchronously, so the browser's own jump to `#section` happens too early
+  const route = parseRoute()
+  if (route.projectId || route.section) applyRoute(window.history.state)
 }
 
 // Helpers to set CV href and ensure a sensible filename with a .pdf extension
@@ -421,6 +1370,8 @@ function safeFileNameFromUrl(href) {
 function setCvLink(href) {
   const el = document.getElementById('cvDownload')
   if (!el || !href) return
+  // generated CVs live in files/ next to the site root, also from the /<lang>/ pages
+  if (!/^(?:[a-z]+:|\/)/i.test(href)) href = siteUrl(href)
   el.setAttribute('href', href)
   // set the download attribute with a sensible filename
   el.setAttribute('download', safeFileNameFromUrl(href))
@@ -458,17 +1409,684 @@ async function triggerDownloadForHref(href) {
   }
 }
 
+// Load content/<lang>.json merged over the default language, so keys and project fields a
+// translation doesn't have yet inherit the default text (see mergeContent in render.js).
+// A missing file falls back to the default language entirely.
+// content/<lang>.json; with settings.jsonResume, resume.<lang>.json (JSON Resume) goes over its
+// CV data, and a language may then come from the resume alone
+function loadLanguageFile(lang) {
+  return PortfolioRender.loadLanguageContent(lang, settings, loadJson)
+}
+
+let defaultContent = null
+async function loadContent(lang) {
+  const fallback = settings.defaultLanguage
+  if (!defaultContent) defaultContent = await loadLanguageFile(fallback)
+  if (lang === fallback) return { lang, content: defaultContent || {}, fallbacks: [] }
+  const c = await loadLanguageFile(lang)
+  if (!c) return { lang: fallback, content: defaultContent || {}, fallbacks: [] }
+  if (!defaultContent) return { lang, content: c, fallbacks: [] }
+  const merged = PortfolioRender.mergeContent(defaultContent, c)
+  return { lang, content: merged.content, fallbacks: merged.fallbacks }
+}
+
+// --- Translation debug ---------------------------------------------------
+// `?debug=i18n` outlines every text that fell back to settings.defaultLanguage
+const FALLBACK_CONTAINERS = {
+  skills: '.skills-list',
+  experience: '.experience-list',
+  education: '.education-list',
+  languages: '.languages-list',
+  contact: '.contact-box'
+}
+
+function i18nDebugEnabled() {
+  return new URLSearchParams(window.location.search).get('debug') === 'i18n'
+}
+
+function highlightFallbacks() {
+  document.querySelectorAll('.i18n-fallback').forEach(el => { el.classList.remove('i18n-fallback'); el.removeAttribute('data-fallback') })
+  if (!i18nDebugEnabled()) return
+  const mark = (el, key) => {
+    if (!el) return
+    el.classList.add('i18n-fallback')
+    el.setAttribute('data-fallback', `${key} ← ${settings.defaultLanguage}`)
+  }
+  contentFallbacks.forEach(key => {
+    const project = key.match(/^projects\[([^\]]+)\]/)
+    if (project) return mark(findProjectCard(project[1]), key)
+    document.querySelectorAll(`[data-i18n="${key}"]`).forEach(el => mark(el, key))
+    const top = key.split(/[.[]/)[0]
+    if (FALLBACK_CONTAINERS[top]) mark(document.querySelector(FALLBACK_CONTAINERS[top]), key)
+  })
+  if (contentFallbacks.length) console.info(`${contentFallbacks.length} key(s) fall back to ${settings.defaultLanguage}:`, contentFallbacks)
+}
+
+// --- Languages -----------------------------------------------------------
+// settings.languages lists the offered languages (code, label, flag, dir) in display order
+function languageManifest() {
+  return Array.isArray(settings.languages) ? settings.languages.filter(l => l && l.code) : []
+}
+
+// First entry of navigator.languages we have content for: exact match ('pt-BR'), then the
+// primary subtag ('pl-PL' -> 'pl')
+function detectLanguage() {
+  const codes = languageManifest().map(l => l.code)
+  if (!codes.length) return ''
+  const preferred = (navigator.languages && navigator.languages.length) ? navigator.languages : [navigator.language]
+  for (const tag of preferred.filter(Boolean)) {
+    const exact = codes.find(c => c.toLowerCase() === tag.toLowerCase())
+    if (exact) return exact
+    const primary = codes.find(c => c.split('-')[0].toLowerCase() === tag.split('-')[0].toLowerCase())
+    if (primary) return primary
+  }
+  return ''
+}
+
+// Keep <html lang/dir> and the title in step with the rendered content
+function applyDocumentLanguage() {
+  const entry = languageManifest().find(l => l.code === currentLang)
+  document.documentElement.lang = currentLang
+  document.documentElement.dir = (entry && entry.dir) || 'ltr'
+  const title = PortfolioRender.pageTitle(strings, profile)
+  if (title) document.title = title
+  applySocialMeta()
+}
+
+// Replace the Open Graph / Twitter / JSON-LD tags (data-social) with this language's ones and
+// point the canonical link at its page. A pre-rendered page may show another language than it
+// was built for (/?lang=pl), so its URL is the hreflang alternate; otherwise the current address.
+function applySocialMeta() {
+  const alternate = document.querySelector(`link[rel="alternate"][hreflang="${currentLang}"]`)
+  const url = alternate ? alternate.href : window.location.href.split('#')[0]
+  const canonical = document.querySelector('link[rel="canonical"]')
+  if (canonical) canonical.setAttribute('href', url)
+  const site = settings.siteUrl || profile.website || window.location.href
+  const html = PortfolioRender.socialHeadHtml(strings, profile, currentLang, { url, site, languages: languageManifest() })
+  document.head.querySelectorAll('[data-social]').forEach(el => el.remove())
+  document.head.insertAdjacentHTML('beforeend', html)
+}
+
+// Rebuild the flag buttons from the manifest (a <select> switcher is left as it is)
+function renderLanguageSwitch(langSwitch) {
+  const languages = languageManifest()
+  if (!langSwitch || !languages.length || langSwitch.querySelector('select')) return
+  langSwitch.innerHTML = PortfolioRender.languageSwitchHtml(languages, currentLang)
+}
+
+// --- Command palette -----------------------------------------------------
+// Ctrl/Cmd+K opens a fuzzy search over the projects (title, technologies), skills, experience
+// entries and sections plus a few actions (language, theme, CV, email, demos); `j` / `k` step
+// through the visible projects and `?` lists the shortcuts. Labels come from
+// strings.command_palette, so the commands are rebuilt every time the palette opens. Single-key
+// shortcuts are ignored while typing and inside the content editor.
+const PALETTE_MAX_RESULTS = 50
+const isMacPlatform = /Mac|iP(hone|ad|od)/.test(navigator.platform || '')
+let paletteCommandList = []
+let paletteResults = []
+let paletteActive = 0
+let paletteReturnFocus = null
+
+function paletteText(key, fallback = '') {
+  return resolveKey(strings, `command_palette.${key}`) || fallback
+}
+
+function foldText(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+}
+
+// Characters of `query` in order inside `text`; runs of consecutive characters and word starts
+// score higher. -1 when `text` does not contain them all.
+function fuzzyScore(query, text) {
+  const t = foldText(text)
+  let score = 0
+  let from = 0
+  let streak = 0
+  for (const ch of query) {
+    const at = t.indexOf(ch, from)
+    if (at < 0) return -1
+    streak = at === from && from > 0 ? streak + 1 : 0
+    score += 1 + streak * 2 + (at === 0 || /[\s\-_.(/]/.test(t[at - 1]) ? 3 : 0)
+    from = at + 1
+  }
+  return score
+}
+
+// Every word of the query has to match the label or, for less, the keywords
+function commandScore(words, command) {
+  let total = 0
+  for (const word of words) {
+    const keywords = fuzzyScore(word, command.keywords)
+    const best = Math.max(fuzzyScore(word, command.label), keywords < 0 ? -1 : keywords / 2)
+    if (best < 0) return -1
+    total += best
+  }
+  return total
+}
+
+// Scroll to an element of the page and move the focus there (a skill's filter button if it has one)
+function goToElement(el) {
+  if (!el) return
+  try { el.scrollIntoView({ behavior: scrollBehavior(), block: 'center' }) } catch (err) { el.scrollIntoView() }
+  const target = el.querySelector('button') || el
+  if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) target.setAttribute('tabindex', '-1')
+  target.focus({ preventScroll: true })
+}
+
+function showPaletteToast(text) {
+  document.querySelectorAll('.palette-toast').forEach(t => t.remove())
+  const toast = document.createElement('div')
+  toast.className = 'update-toast palette-toast'
+  toast.setAttribute('role', 'status')
+  toast.textContent = text
+  document.body.appendChild(toast)
+  setTimeout(() => toast.remove(), 2400)
+}
+
+function paletteCommands() {
+  const groups = (strings.command_palette && strings.command_palette.groups) || {}
+  const commands = []
+  const add = (group, label, keywords, run) => { if (label) commands.push({ group: groups[group] || group, label, keywords, run }) }
+
+  projectCards().forEach(card => {
+    const p = projectById(card.getAttribute('data-project-id')) || {}
+    add('projects', card.getAttribute('aria-label'), [p.role, ...(p.technologies || [])].join(' '), () => activateCard(card))
+  })
+  ;(strings.skills || []).forEach(s => {
+    const skill = typeof s === 'string' ? { name: s } : s
+    const el = document.getElementById(`skill-${PortfolioRender.skillIdOf(skill)}`)
+    if (el) add('skills', skill.name, [skill.category, skill.level, ...(skill.technologies || [])].join(' '), () => goToElement(el))
+  })
+  const entries = document.querySelectorAll('.experience-list .exp-card')
+  ;(strings.experience || []).forEach((x, idx) => {
+    if (entries[idx]) add('experience', [x.role || x.title, x.company].filter(Boolean).join(' — '), [x.location, ...(x.technologies || [])].join(' '), () => goToElement(entries[idx]))
+  })
+  PortfolioRender.sectionLayout(settings).forEach(({ section }) => {
+    const el = document.getElementById(section.id)
+    if (el && !el.hidden) add('sections', resolveKey(strings, section.title) || section.id, section.id, () => goToElement(el))
+  })
+
+  ;(settings.languages || []).filter(l => l.code !== currentLang).forEach(l => {
+    add('actions', paletteText('actions.language', 'Switch language to {language}').replace('{language}', l.label || l.code), l.code, () => applyLanguageChange(l.code))
+  })
+  const nextMode = THEME_MODES[(THEME_MODES.indexOf(themeMode) + 1) % THEME_MODES.length]
+  const modeName = resolveKey(strings, `theme.modes.${nextMode}`) || nextMode
+  add('actions', paletteText('actions.theme', 'Switch theme to {mode}').replace('{mode}', modeName), THEME_MODES.join(' '), () => setThemeMode(nextMode))
+  const cv = document.getElementById('cvDownload')
+  if (cv && cv.getAttribute('href')) add('actions', paletteText('actions.cv', 'Download CV'), 'pdf resume', () => cv.click())
+  const email = contactEmail()
+  if (email) {
+    add('actions', paletteText('actions.email', 'Copy email address'), email, async () => {
+      if (await copyText(email)) showPaletteToast(paletteText('copied', 'Email address copied'))
+    })
+  }
+  projects.forEach(p => {
+    const url = PortfolioRender.safeUrl(demoUrlOf(p))
+    if (url && p.title) add('actions', paletteText('actions.demo', 'Open demo: {title}').replace('{title}', p.title), 'demo', () => window.open(url, '_blank', 'noopener'))
+  })
+  add('actions', paletteText('actions.shortcuts', 'Show keyboard shortcuts'), '?', () => openPalette('help'))
+  return commands
+}
+
+// The overlay is created on first use; its texts are refreshed on every open
+function paletteElement() {
+  let palette = document.querySelector('.command-palette')
+  if (palette) return palette
+  palette = document.createElement('div')
+  palette.className = 'command-palette'
+  palette.hidden = true
+  palette.innerHTML = `
+    <div class="palette-backdrop"></div>
+    <div class="palette-dialog" role="dialog" aria-modal="true" tabindex="-1">
+      <div class="palette-search">
+        <input class="palette-input" type="text" role="combobox" aria-expanded="true" aria-controls="palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+        <ul class="palette-results" id="palette-results" role="listbox"></ul>
+        <p class="palette-empty" role="status" aria-live="polite"></p>
+      </div>
+      <div class="palette-help">
+        <h2 class="palette-help-title" id="palette-help-title"></h2>
+        <dl class="palette-shortcuts"></dl>
+      </div>
+    </div>`
+  document.body.appendChild(palette)
+  const input = palette.querySelector('.palette-input')
+  input.addEventListener('input', () => filterPalette(input.value))
+  input.addEventListener('keydown', paletteKeydown)
+  palette.querySelector('.palette-backdrop').addEventListener('click', closePalette)
+  palette.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { e.preventDefault(); closePalette() }
+    // the only control is the search field (or nothing in help mode), so Tab stays in the dialog
+    else if (e.key === 'Tab') e.preventDefault()
+  })
+  const list = palette.querySelector('.palette-results')
+  list.addEventListener('mousedown', (e) => e.preventDefault())
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]')
+    if (option) runPaletteCommand(Number(option.getAttribute('data-index')))
+  })
+  list.addEventListener('mousemove', (e) => {
+    const option = e.target.closest('[role="option"]')
+    if (option && Number(option.getAttribute('data-index')) !== paletteActive) setPaletteActive(Number(option.getAttribute('data-index')))
+  })
+  return palette
+}
+
+function isPaletteOpen() {
+  const palette = document.querySelector('.command-palette')
+  return !!palette && !palette.hidden
+}
+
+function shortcutRows() {
+  const key = k => `<kbd>${PortfolioRender.escapeHtml(k)}</kbd>`
+  const rows = [
+    [isMacPlatform ? key('⌘') + key('K') : `${key('Ctrl')}+${key('K')}`, paletteText('help.palette', 'Open the command palette')],
+    [key('j'), paletteText('help.next', 'Next project')],
+    [key('k'), paletteText('help.previous', 'Previous project')],
+    [key('?'), paletteText('help.help', 'Show this help')],
+    [key('Esc'), paletteText('help.close', 'Close')]
+  ]
+  return rows.map(([keys, text]) => `<dt>${keys}</dt><dd>${PortfolioRender.escapeHtml(text)}</dd>`).join('')
+}
+
+// mode 'help' shows the shortcut list instead of the search
+function openPalette(mode = 'search') {
+  const palette = paletteElement()
+  if (!isPaletteOpen()) paletteReturnFocus = document.activeElement
+  const dialog = palette.querySelector('.palette-dialog')
+  const input = palette.querySelector('.palette-input')
+  const help = mode === 'help'
+  palette.querySelector('.palette-search').hidden = help
+  palette.querySelector('.palette-help').hidden = !help
+  palette.hidden = false
+  if (help) {
+    palette.querySelector('.palette-help-title').textContent = paletteText('help.title', 'Keyboard shortcuts')
+    palette.querySelector('.palette-shortcuts').innerHTML = shortcutRows()
+    dialog.removeAttribute('aria-label')
+    dialog.setAttribute('aria-labelledby', 'palette-help-title')
+    dialog.focus()
+    return
+  }
+  const label = paletteText('label', 'Command palette')
+  dialog.removeAttribute('aria-labelledby')
+  dialog.setAttribute('aria-label', label)
+  input.setAttribute('aria-label', label)
+  input.setAttribute('placeholder', paletteText('placeholder'))
+  palette.querySelector('.palette-results').setAttribute('aria-label', label)
+  paletteCommandList = paletteCommands()
+  input.value = ''
+  filterPalette('')
+  input.focus()
+}
+
+function closePalette() {
+  const palette = document.querySelector('.command-palette')
+  if (!palette || palette.hidden) return
+  palette.hidden = true
+  const back = paletteReturnFocus
+  paletteReturnFocus = null
+  if (back && back.isConnected && back.focus) back.focus({ preventScroll: true })
+}
+
+function filterPalette(query) {
+  const words = foldText(query).split(/\s+/).filter(Boolean)
+  paletteResults = paletteCommandList
+    .map((command, order) => ({ command, order, score: words.length ? commandScore(words, command) : 0 }))
+    .filter(r => r.score >= 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, PALETTE_MAX_RESULTS)
+    .map(r => r.command)
+  const palette = paletteElement()
+  const esc = PortfolioRender.escapeHtml
+  palette.querySelector('.palette-results').innerHTML = paletteResults.map((c, idx) =>
+    `<li class="palette-option" id="palette-option-${idx}" role="option" aria-selected="false" data-index="${idx}"><span class="palette-label">${esc(c.label)}</span><span class="palette-group">${esc(c.group)}</span></li>`
+  ).join('')
+  palette.querySelector('.palette-empty').textContent = paletteResults.length ? '' : paletteText('empty', 'No results').replace('{query}', query.trim())
+  setPaletteActive(0)
+}
+
+function setPaletteActive(index) {
+  const palette = paletteElement()
+  const input = palette.querySelector('.palette-input')
+  const options = palette.querySelectorAll('.palette-option')
+  paletteActive = options.length ? (index + options.length) % options.length : 0
+  options.forEach((o, idx) => o.setAttribute('aria-selected', idx === paletteActive ? 'true' : 'false'))
+  const active = options[paletteActive]
+  if (!active) return input.removeAttribute('aria-activedescendant')
+  input.setAttribute('aria-activedescendant', active.id)
+  if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' })
+}
+
+function paletteKeydown(e) {
+  const moves = { ArrowDown: 1, ArrowUp: -1 }
+  if (moves[e.key]) {
+    e.preventDefault()
+    setPaletteActive(paletteActive + moves[e.key])
+  } else if (e.key === 'Enter') {
+    e.preventDefault()
+    runPaletteCommand(paletteActive)
+  }
+}
+
+function runPaletteCommand(index) {
+  const command = paletteResults[index]
+  if (!command) return
+  // the command may move the focus (or reopen the palette in help mode) itself
+  closePalette()
+  command.run()
+}
+
+// j / k: next / previous visible project, like the arrow keys on a focused card but selecting it
+function stepProject(delta) {
+  const visible = visibleProjectCards()
+  if (!visible.length) return
+  const index = visible.findIndex(c => c.classList.contains('active'))
+  const next = visible[index < 0 ? 0 : (index + delta + visible.length) % visible.length]
+  activateCard(next)
+  if (document.activeElement && document.activeElement.classList.contains('project-card')) next.focus({ preventScroll: true })
+}
+
+function isTypingTarget(el) {
+  if (!el || !el.tagName) return false
+  return el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) || !!(el.closest && el.closest('.editor-panel'))
+}
+
+function shortcutKeydown(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && (e.key === 'k' || e.key === 'K')) {
+    e.preventDefault()
+    return isPaletteOpen() ? closePalette() : openPalette()
+  }
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isPaletteOpen() || isTypingTarget(e.target)) return
+  if (e.key === 'j' || e.key === 'k') {
+    e.preventDefault()
+    stepProject(e.key === 'j' ? 1 : -1)
+  } else if (e.key === '?') {
+    e.preventDefault()
+    openPalette('help')
+  }
+}
+
+function initShortcuts() {
+  document.addEventListener('keydown', shortcutKeydown)
+}
+
+// --- Analytics -----------------------------------------------------------
+// Cookieless counts of page views, project selections, media plays, demo-link clicks, language
+// and theme switches and CV downloads. Nothing is stored in the browser and there is no visitor
+// id; Do Not Track (or Global Privacy Control) turns tracking off. Events are queued and sent in
+// batches (every `batchSize` events, every `flushSeconds` and when the page is hidden) to the
+// sink named by settings.analytics.sink; `none`, the default, records nothing.
+const ANALYTICS_SINKS = {
+  console: {
+    send(events) {
+      console.info('[analytics]', events)
+    }
+  },
+  // any collector taking { events: [...] } (see scripts/analytics-collector.js); text/plain keeps
+  // the beacon a simple cross-origin request
+  beacon: {
+    requires: ['endpoint'],
+    send(events, config) {
+      const body = JSON.stringify({ events })
+      if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'text/plain' }))) return
+      fetch(config.endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } }).catch(() => {})
+    }
+  },
+  // Plausible Events API (plausible.io, or a self-hosted instance at `endpoint`); one event per request
+  plausible: {
+    send(events, config) {
+      const api = `${(config.endpoint || 'https://plausible.io').replace(/\/+$/, '')}/api/event`
+      events.forEach(e => {
+        const body = JSON.stringify({ name: e.name, url: e.url, domain: config.domain || window.location.hostname, referrer: document.referrer || null, props: e.props })
+        fetch(api, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } }).catch(() => {})
+      })
+    }
+  },
+  // Umami /api/send (Umami Cloud, or a self-hosted instance at `endpoint`) for the website `websiteId`
+  umami: {
+    requires: ['websiteId'],
+    send(events, config) {
+      const api = `${(config.endpoint || 'https://cloud.umami.is').replace(/\/+$/, '')}/api/send`
+      events.forEach(e => {
+        const payload = { website: config.websiteId, hostname: window.location.hostname, language: e.props.lang, url: e.path, referrer: document.referrer, title: document.title }
+        // page views are events without a name
+        if (e.name !== 'pageview') Object.assign(payload, { name: e.name, data: e.props })
+        fetch(api, { method: 'POST', body: JSON.stringify({ type: 'event', payload }), keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(() => {})
+      })
+    }
+  }
+}
+
+// settings.analytics while tracking is on, null otherwise
+let analytics = null
+let analyticsQueue = []
+
+function analyticsConfig() {
+  const config = { sink: 'none', endpoint: '', domain: '', websiteId: '', batchSize: 10, flushSeconds: 10, ...(settings.analytics || {}) }
+  const sink = ANALYTICS_SINKS[config.sink]
+  if (!sink) return null
+  const missing = (sink.requires || []).filter(k => !config[k])
+  if (missing.length) {
+    console.warn(`analytics: the ${config.sink} sink needs ${missing.join(', ')} in settings.analytics`)
+    return null
+  }
+  return config
+}
+
+function doNotTrack() {
+  return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true
+}
+
+function track(name, props = {}) {
+  if (!analytics) return
+  analyticsQueue.push({
+    name,
+    // no query string: search terms and the like stay out of the data
+    url: `${window.location.origin}${window.location.pathname}`,
+    path: window.location.pathname,
+    props: { lang: currentLang, ...props },
+    time: new Date().toISOString()
+  })
+  if (analyticsQueue.length >= analytics.batchSize) flushAnalytics()
+}
+
+function flushAnalytics() {
+  if (!analytics || !analyticsQueue.length) return
+  const events = analyticsQueue
+  analyticsQueue = []
+  try {
+    ANALYTICS_SINKS[analytics.sink].send(events, analytics)
+  } catch (err) {
+    console.warn('analytics: sending failed', err)
+  }
+}
+
+function initAnalytics() {
+  const config = analyticsConfig()
+  if (!config || doNotTrack()) return
+  analytics = config
+  setInterval(flushAnalytics, Math.max(1, Number(config.flushSeconds) || 10) * 1000)
+  // the last batch leaves with the page
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flushAnalytics() })
+  window.addEventListener('pagehide', flushAnalytics)
+  const demo = document.getElementById('projectDemoLink')
+  if (demo) demo.addEventListener('click', () => track('demo_click', { project: selectedProjectId, host: hostOf(demo.href) }))
+  const video = document.getElementById('projectVideo')
+  if (video) video.addEventListener('play', () => track('media_play', { project: selectedProjectId, type: 'video' }))
+  track('pageview')
+}
+
+// --- Editor --------------------------------------------------------------
+// `?edit=1` opens editor.js next to the page: forms for the content files of every language,
+// validated with the schema validator the content checker uses. The page is the live preview;
+// drafts stay in localStorage and nothing is sent to a server.
+function editorRequested() {
+  return new URLSearchParams(window.location.search).get('edit') === '1'
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script')
+    script.src = siteUrl(src)
+    script.onload = resolve
+    script.onerror = () => reject(new Error(`Failed to load ${src}`))
+    document.head.appendChild(script)
+  })
+}
+
+// Render the page from the editor's files (raw content per language, like loadContent merges it)
+function previewContent(lang, files) {
+  const base = files[settings.defaultLanguage] || {}
+  const merged = lang === settings.defaultLanguage ? { content: base, fallbacks: [] } : PortfolioRender.mergeContent(base, files[lang] || {})
+  currentLang = lang
+  contentFallbacks = merged.fallbacks
+  strings = prepareStrings(merged.content, profile)
+  if (Array.isArray(strings.projects) && strings.projects.length) projects = replacePlaceholders(strings.projects, profile)
+  applyDocumentLanguage()
+  renderPage()
+}
+
+async function initEditor() {
+  if (!editorRequested()) return
+  try {
+    await loadScript('scripts/lib/json-schema.js')
+    await loadScript('editor.js')
+  } catch (err) {
+    console.warn('Content editor unavailable', err)
+    return
+  }
+  const languages = (settings.languages || []).map(l => l.code).filter(Boolean)
+  window.PortfolioEditor.open({
+    languages: languages.length ? languages : [settings.defaultLanguage],
+    defaultLanguage: settings.defaultLanguage,
+    lang: currentLang,
+    load: loadJson,
+    preview: previewContent,
+    copy: copyText
+  })
+}
+
+// --- Public API ----------------------------------------------------------
+// window.Portfolio drives the page from other scripts without reaching into these globals:
+//   Portfolio.ready              promise resolved once the page is rendered and wired up, rejected
+//                                with the error when startup fails
+//   Portfolio.selectProject(id)  shows a project in the showcase (false for an unknown id)
+//   Portfolio.setLanguage(code)  switches the content language (a promise)
+//   Portfolio.setTheme(mode)     'dark', 'light' or 'system' (false for anything else)
+//   Portfolio.getContent()       a copy of { lang, settings, profile, strings, projects }
+//   Portfolio.getResume()        the current content and profile as a JSON Resume object
+//   Portfolio.use(plugin)        plugin(Portfolio, { lang }) runs after every render, and right
+//                                away when the page is already rendered; { afterRender } works too
+// Lifecycle events are CustomEvents on document: portfolio:ready ({ lang }),
+// portfolio:languagechange ({ lang, previous }), portfolio:projectselect ({ id, project }) and
+// portfolio:cvdownload ({ href, lang }).
+const plugins = []
+let pageRendered = false
+let resolveReady = null
+let rejectReady = null
+
+function emit(name, detail) {
+  document.dispatchEvent(new CustomEvent(`portfolio:${name}`, { detail }))
+}
+
+function runPlugin(plugin) {
+  try {
+    plugin(window.Portfolio, { lang: currentLang })
+  } catch (err) {
+    console.warn('Portfolio plugin failed', err)
+  }
+}
+
+function runPlugins() {
+  pageRendered = true
+  plugins.forEach(runPlugin)
+}
+
+window.Portfolio = {
+  ready: new Promise((resolve, reject) => { resolveReady = resolve; rejectReady = reject }),
+  selectProject(id) {
+    const card = findProjectCard(String(id))
+    if (!card) return false
+    activateCard(card)
+    return true
+  },
+  setLanguage(code) {
+    return applyLanguageChange(String(code))
+  },
+  setTheme(mode) {
+    return setThemeMode(mode)
+  },
+  getContent() {
+    return JSON.parse(JSON.stringify({ lang: currentLang, settings, profile, strings, projects }))
+  },
+  getResume() {
+    return PortfolioRender.toJsonResume(strings, profile, { site: settings.siteUrl || window.location.href })
+  },
+  use(plugin) {
+    const hook = typeof plugin === 'function' ? plugin : plugin && typeof plugin.afterRender === 'function' && plugin.afterRender.bind(plugin)
+    if (!hook) throw new TypeError('Portfolio.use() expects a function or an object with afterRender()')
+    plugins.push(hook)
+    if (pageRendered) runPlugin(hook)
+    return window.Portfolio
+  }
+}
+
+// --- Offline -------------------------------------------------------------
+// sw.js precaches the shell and serves the JSON stale-while-revalidate, so languages fetched
+// once keep working offline; it posts 'content-updated' when a refreshed content file has a
+// new meta.last_updated
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    const data = e.data || {}
+    if (data.type !== 'content-updated') return
+    // the rendered strings come from the current language and the default one it falls back to
+    const file = String(data.url || '').split('/').pop()
+    if ([currentLang, settings.defaultLanguage].some(l => `${l}.json` === file)) showUpdateToast()
+  })
+  navigator.serviceWorker.register(siteUrl('sw.js')).catch(err => console.warn('Service worker registration failed', err))
+}
+
+function showUpdateToast() {
+  if (document.querySelector('.update-toast')) return
+  const toast = document.createElement('div')
+  toast.className = 'update-toast'
+  toast.setAttribute('role', 'status')
+  const message = document.createElement('span')
+  message.textContent = resolveKey(strings, 'content_updated.message') || 'The content has been updated.'
+  const reload = document.createElement('button')
+  reload.type = 'button'
+  reload.className = 'update-toast-reload'
+  reload.textContent = resolveKey(strings, 'content_updated.reload') || 'Reload'
+  reload.addEventListener('click', () => window.location.reload())
+  const close = document.createElement('button')
+  close.type = 'button'
+  close.className = 'update-toast-close'
+  close.textContent = '×'
+  close.setAttribute('aria-label', resolveKey(strings, 'content_updated.dismiss') || 'Dismiss')
+  close.addEventListener('click', () => toast.remove())
+  toast.append(message, reload, close)
+  document.body.appendChild(toast)
+}
+
 async function loadSettingsAndContent() {
   const s = await loadJson('settings.json')
   settings = { ...DEFAULT_SETTINGS, ...(s || {}) }
 
-  const savedLang = localStorage.getItem('lang') || settings.defaultLanguage
-  const contentPath = `content/${savedLang}.json`
-  let c = await loadJson(contentPath)
-  if (!c) {
-    c = await loadJson(TEMPLATE_PATH)
-  }
-  strings = c || {}
+  // `?lang=` from a shared link wins, then the language of a pre-rendered page, then the stored
+  // preference, then the browser languages on a first visit
+  const routeLang = parseRoute().lang
+  const prerendered = document.documentElement.getAttribute('data-prerendered') || ''
+  const storedLang = localStorage.getItem('lang')
+  const detectedLang = storedLang ? '' : detectLanguage()
+  const pageLang = routeLang || prerendered
+  const savedLang = pageLang || storedLang || detectedLang || settings.defaultLanguage
+  // the default page is also the x-default one: move first-time visitors to their own language
+  if (!routeLang && !storedLang && prerendered === settings.defaultLanguage && detectedLang && detectedLang !== prerendered) suggestedLang = detectedLang
+  const loaded = await loadContent(savedLang)
+  if (pageLang && loaded.lang === pageLang) localStorage.setItem('lang', pageLang)
+  strings = loaded.content
+  currentLang = loaded.lang
+  contentFallbacks = loaded.fallbacks
 
   // load profile (sensitive data separated), but do not override content fields unless missing
   const prof = await loadJson('profile.json')
@@ -476,9 +2094,6 @@ async function loadSettingsAndContent() {
   if (profile.firstName) document.documentElement.dataset.firstName = profile.firstName
   if (profile.lastName) document.documentElement.dataset.lastName = profile.lastName
 
-  // set document title if defined
-  if (profile.fullName) { document.title = `${profile.fullName} — Portfolio` }
-
   // set CV link if content doesn't provide a language-specific link
   const cvEl = document.getElementById('cvDownload')
   if (!strings.download_cv_links && profile.cvFile && cvEl) {
@@ -493,6 +2108,13 @@ async function loadSettingsAndContent() {
     if (pic) pic.setAttribute('alt', profile.fullName)
   }
 
+  // generated at deploy time; without it the cards simply have no GitHub stats
+  const r = await loadJson('repos.json')
+  repos = (r && r.repos) || {}
+  // also generated at deploy time; without it images load as they are, without variants
+  const im = await loadJson('images.json')
+  images = (im && im.images) || {}
+
   // projects from projects.json fallback
   const p = await loadJson('projects.json')
   projects = Array.isArray(p) ? p : []
@@ -510,55 +2132,76 @@ async function loadSettingsAndContent() {
   }
 
   // Apply placeholder substitution for all strings with profile data
-  strings = replacePlaceholders(strings, profile)
-  // fallback alias: some content uses download_cv_text, template uses download_cv
-  if (!strings.download_cv && strings.download_cv_text) strings.download_cv = strings.download_cv_text
-  if (!strings.name && profile && profile.fullName) strings.name = profile.fullName
+  strings = prepareStrings(strings, profile)
+  applyDocumentLanguage()
+}
+
+// helper to update project node text and aria on language change
+function updateProjectLabels() {
+  projectCards().forEach(card => {
+    const titleEl = card.querySelector('h3')
+    const descEl = card.querySelector('p')
+    const titleKey = titleEl && titleEl.getAttribute('data-i18n')
+    const descKey = descEl && descEl.getAttribute('data-i18n')
+    if (titleKey) titleEl.textContent = strings[titleKey] || titleKey
+    if (descKey) descEl.textContent = strings[descKey] || descKey
+    // 'view_demo' hint removed from project tiles — no hint text to update
+    const titleTxt = titleEl ? titleEl.textContent : 'Project'
+    card.setAttribute('aria-label', titleTxt)
+  })
+  // the demo button text is a hostname or the translated label
+  updateDemoLink(projectById(selectedProjectId))
+}
+
+// Switch the page to another content language (the switcher and Portfolio.setLanguage)
+async function applyLanguageChange(v) {
+  const previous = currentLang
+  // before a pre-rendered page navigates away (the queue is flushed on pagehide)
+  track('language_change', { from: previous, to: v })
+  localStorage.setItem('lang', v)
+  // pre-rendered pages have their own URL per language (see the hreflang alternates)
+  const alternate = document.documentElement.hasAttribute('data-prerendered') && document.querySelector(`link[rel="alternate"][hreflang="${v}"]`)
+  if (alternate) {
+    const params = new URLSearchParams(window.location.search)
+    params.delete('lang')
+    const query = params.toString()
+    window.location.href = `${alternate.getAttribute('href')}${query ? `?${query}` : ''}${window.location.hash}`
+    return
+  }
+  replaceLangParam(v)
+  // reload content for the new language and rerender
+  const loaded = await loadContent(v)
+  currentLang = loaded.lang
+  contentFallbacks = loaded.fallbacks
+  strings = prepareStrings(loaded.content, profile)
+  // if the content provides projects, reassign
+  if (strings && Array.isArray(strings.projects) && strings.projects.length) { projects = replacePlaceholders(strings.projects, profile) }
+  applyDocumentLanguage()
+  renderPage()
+  updateProjectLabels()
+  const brand = document.getElementById('brandLink')
+  if (brand && profile && profile.fullName) { brand.setAttribute('aria-label', `Go to homepage — ${profile.fullName}`) }
+  // update buttons/select state to reflect the newly selected language
+  const langSwitch = document.querySelector('.lang-switch')
+  if (langSwitch) {
+    const select = langSwitch.querySelector('select')
+    if (select) select.value = v
+    const btns = langSwitch.querySelectorAll('.lang-btn')
+    if (btns && btns.length) btns.forEach(b => b.setAttribute('aria-pressed', b.getAttribute('data-lang') === v ? 'true' : 'false'))
+  }
+  emit('languagechange', { lang: currentLang, previous })
 }
 
 async function init() {
   await loadSettingsAndContent()
 
-  // apply theme
-  const savedTheme = localStorage.getItem('theme') || settings.defaultTheme
-  applyTheme(savedTheme)
+  initTheme()
 
   // populate language switch — supports both select and flag buttons
   const langSwitch = document.querySelector('.lang-switch')
-  const savedLang = localStorage.getItem('lang') || settings.defaultLanguage
-
-  async function applyLanguageChange(v) {
-    localStorage.setItem('lang', v)
-    // reload content for the new language and rerender
-    let c = await loadJson(`content/${v}.json`)
-    if (!c) c = await loadJson(TEMPLATE_PATH)
-    strings = c || {}
-    strings = replacePlaceholders(strings, profile)
-    // alias fallback keys
-    if (!strings.download_cv && strings.download_cv_text) strings.download_cv = strings.download_cv_text
-    if (!strings.name && profile && profile.fullName) strings.name = profile.fullName
-    // if the content provides projects, reassign
-    if (strings && Array.isArray(strings.projects) && strings.projects.length) { projects = replacePlaceholders(strings.projects, profile) }
-    updateTextNodes()
-    updateProjectLabels()
-    renderHero()
-    renderSkills()
-    renderExperience()
-    renderEducation()
-    renderLanguages()
-    renderContact()
-    renderProjects()
-    const brand = document.getElementById('brandLink')
-    if (brand && profile && profile.fullName) { brand.setAttribute('aria-label', `Go to homepage — ${profile.fullName}`) }
-    // update buttons/select state to reflect the newly selected language
-    if (langSwitch) {
-      const select = langSwitch.querySelector('select')
-      if (select) select.value = v
-      const btns = langSwitch.querySelectorAll('.lang-btn')
-      if (btns && btns.length) btns.forEach(b => b.setAttribute('aria-pressed', b.getAttribute('data-lang') === v ? 'true' : 'false'))
-    }
-  }
+  const savedLang = currentLang
 
+  renderLanguageSwitch(langSwitch)
   // If the lang-switch contains a <select> element, preserve existing UX; otherwise wire up flag buttons.
   if (langSwitch) {
     const select = langSwitch.querySelector('select')
@@ -579,35 +2222,16 @@ async function init() {
     }
   }
 
-  // theme toggle
-  const themeToggle = document.getElementById('themeToggle')
-  themeToggle.addEventListener('click', () => {
-    const isDark = document.body.classList.toggle('dark')
-    if (isDark) {
-      document.documentElement.classList.remove('light')
-      themeToggle.textContent = '🌙'
-      themeToggle.setAttribute('aria-pressed', 'true')
-      localStorage.setItem('theme', 'dark')
-    } else {
-      document.documentElement.classList.add('light')
-      themeToggle.textContent = '☀️'
-      themeToggle.setAttribute('aria-pressed', 'false')
-      localStorage.setItem('theme', 'light')
-    }
-    // add small animation to the icon to make the change more meaningful
-    themeToggle.classList.add('theme-toggle-anim')
-    setTimeout(() => themeToggle.classList.remove('theme-toggle-anim'), 380)
-  })
+  initMediaCarousel()
+  initMediaFacade()
+  initProjectFilters()
+  initSkillLinks()
 
-  // initial render
-  updateTextNodes()
-  renderHero()
-  renderSkills()
-  renderExperience()
-  renderEducation()
-  renderLanguages()
-  renderContact()
-  renderProjects()
+  // initial render — a page pre-rendered in this language already has the markup, so only hydrate it
+  hydrating = document.documentElement.getAttribute('data-prerendered') === currentLang
+  applySectionLayout()
+  renderPage()
+  hydrating = false
   // renderRepos removed - we rely on profile.github link and projects list
 
   // brand link behavior - prevent full reload and scroll to top
@@ -615,7 +2239,7 @@ async function init() {
   if (brand) {
     brand.addEventListener('click', (e) => {
       e.preventDefault()
-      window.scrollTo({ top: 0, left: 0, behavior: 'smooth' })
+      window.scrollTo({ top: 0, left: 0, behavior: scrollBehavior() })
     })
     if (profile.fullName) {
       brand.setAttribute('aria-label', `Go to homepage — ${profile.fullName}`)
@@ -625,114 +2249,6 @@ async function init() {
 
 
 
-  // helper to update project node text and aria on language change
-  function updateProjectLabels() {
-    projectCards().forEach(card => {
-      const titleEl = card.querySelector('h3')
-      const descEl = card.querySelector('p')
-      const titleKey = titleEl && titleEl.getAttribute('data-i18n')
-      const descKey = descEl && descEl.getAttribute('data-i18n')
-      if (titleKey) titleEl.textContent = strings[titleKey] || titleKey
-      if (descKey) descEl.textContent = strings[descKey] || descKey
-      // 'view_demo' hint removed from project tiles — no hint text to update
-      const titleTxt = titleEl ? titleEl.textContent : 'Project'
-      card.setAttribute('aria-label', titleTxt)
-    })
-    // update demo link text if visible — only show for Kronos
-    const demoLinkEl = document.getElementById('projectDemoLink')
-    if (demoLinkEl) {
-      const active = document.querySelector('.project-card.active')
-      const activeDemo = active && active.getAttribute('data-demo-link')
-      let showDemo = false
-      if (active && activeDemo) {
-        const pid = active.getAttribute('data-project-id') || ''
-        try {
-          const u = new URL(activeDemo)
-          if (pid === 'kronos_live' || u.hostname.includes('kronos-live.pages.dev')) showDemo = true
-        } catch (err) {
-          if (pid === 'kronos_live') showDemo = true
-        }
-      }
-      if (showDemo) {
-        demoLinkEl.textContent = friendlyLabelForUrl(activeDemo) || strings['open_demo'] || strings['view_demo'] || 'Open demo'
-        demoLinkEl.classList.remove('hidden')
-        demoLinkEl.classList.remove('selected-project-cta')
-        demoLinkEl.classList.add('cta-btn')
-      } else {
-        demoLinkEl.textContent = ''
-        demoLinkEl.classList.remove('cta-btn')
-        demoLinkEl.classList.add('selected-project-cta')
-        demoLinkEl.classList.add('hidden')
-      }
-    }
-  }
-
-  // Render dynamic sections based on loaded content strings and profile
-  function renderHero() {
-    const heroTitle = document.querySelector('.hero-title')
-    const heroSub = document.querySelector('.hero-sub')
-    const profilePic = document.querySelector('.profile-card .profile-pic')
-    const cta = document.getElementById('cvDownload')
-    if (strings.hero_title) heroTitle.textContent = strings.hero_title
-    if (strings.hero_subtitle) heroSub.textContent = strings.hero_subtitle
-    // set profile image in profile card (prefer content, otherwise use profile.json or fallback)
-    const FALLBACK_AVATAR = 'https://avatars.githubusercontent.com/u/149014250'
-    const picSrc = strings.profile_photo || profile.profile_photo || FALLBACK_AVATAR
-    if (picSrc && profilePic) {
-      profilePic.setAttribute('src', picSrc)
-      // If a relative or absolute profile image 404s, fall back to GitHub avatar
-      profilePic.onerror = () => { profilePic.onerror = null; profilePic.setAttribute('src', FALLBACK_AVATAR) }
-    }
-    // prefer content-provided CV links; otherwise fallback to profile.cvFile
-    const lang = localStorage.getItem('lang') || settings.defaultLanguage
-    if (strings.download_cv_links && strings.download_cv_links[lang]) {
-      setCvLink(strings.download_cv_links[lang])
-    } else if (profile && profile.cvFile) {
-      setCvLink(profile.cvFile)
-    }
-  }
-
-  function renderSkills() {
-    const list = document.querySelector('.skills-list')
-    list.innerHTML = ''
-    const arr = strings.skills || []
-    arr.forEach(s => {
-      const el = document.createElement('div'); el.className = 'skills-chip'; el.textContent = s.name || s; list.appendChild(el)
-    })
-  }
-
-  function renderExperience() {
-    const list = document.querySelector('.experience-list'); list.innerHTML = ''
-    const arr = strings.experience || []
-    arr.forEach(x => { const el = document.createElement('div'); el.className = 'exp-card'; el.innerHTML = `<strong>${x.role || x.title || ''}</strong><div>${x.company || ''}</div><p>${x.description || ''}</p>`; list.appendChild(el) })
-  }
-
-  function renderEducation() {
-    const list = document.querySelector('.education-list'); list.innerHTML = ''
-    const arr = strings.education || []
-    arr.forEach(e => { const el = document.createElement('div'); el.className = 'edu-card'; el.innerHTML = `<strong>${e.school || ''}</strong><div>${e.degree || ''} ${e.start_date || ''} ${e.end_date || ''}</div><p>${e.description || ''}</p>`; list.appendChild(el) })
-  }
-
-  function renderLanguages() {
-    const list = document.querySelector('.languages-list'); list.innerHTML = ''
-    const arr = strings.languages || []
-    arr.forEach(l => { const el = document.createElement('div'); el.className = 'language-pill'; el.textContent = `${l.language} — ${l.level}`; list.appendChild(el) })
-  }
-
-  function renderContact() {
-    const box = document.querySelector('.contact-box'); box.innerHTML = ''
-    const c = strings.contact || {}
-    // prefer profile.json values for contact details when available
-    const email = profile.email || c.email || ''
-    const phone = profile.phone || c.phone || ''
-    const github = profile.github || c.github_url || ''
-    const website = profile.website || c.website_url || c.website || ''
-    if (email) box.insertAdjacentHTML('beforeend', `<div>Email: <a href='mailto:${email}'>${email}</a></div>`)
-    if (phone) box.insertAdjacentHTML('beforeend', `<div>Phone: ${phone}</div>`)
-    if (github) box.insertAdjacentHTML('beforeend', `<div>Github: <a target='_blank' rel='noopener noreferrer' href='${github}'>${github}</a></div>`)
-    if (website) box.insertAdjacentHTML('beforeend', `<div>Website: <a target='_blank' rel='noopener noreferrer' href='${website}'>${website}</a></div>`)
-  }
-
   // renderRepos removed: Repositories are not displayed as a separate section. We keep the GitHub link in profile/contact
 
   // default to first project
@@ -740,8 +2256,7 @@ async function init() {
   const firstCard = document.querySelector('.project-card')
   if (firstCard && !document.querySelector('.project-card.active')) {
     selectProject(firstCard, false)
-    const firstVid = firstCard.getAttribute('data-video-id') || firstCard.getAttribute('data-youtube') || firstCard.getAttribute('data-demo-link')
-    if (firstVid) setVideo(firstVid, settings.defaultAutoplay)
+    showCardMedia(firstCard, settings.defaultAutoplay)
   }
 
   // CV button animation and download behavior: target the specific CV anchor
@@ -755,6 +2270,8 @@ async function init() {
     }
     ctaButton.addEventListener('click', async (e) => {
       animate()
+      emit('cvdownload', { href: ctaButton.getAttribute('href') || '', lang: currentLang })
+      track('cv_download')
       try {
         const href = ctaButton.getAttribute('href')
         if (!href) return
@@ -771,6 +2288,8 @@ async function init() {
       if (e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar') {
         e.preventDefault()
         animate()
+        emit('cvdownload', { href: ctaButton.getAttribute('href') || '', lang: currentLang })
+        track('cv_download')
         // use our helper to trigger download with proper filename handling
         setTimeout(() => { triggerDownloadForHref(ctaButton.getAttribute('href')) }, 120)
       }
@@ -780,6 +2299,13 @@ async function init() {
   // ensure year is set
   const yearEl = document.getElementById('year')
   if (yearEl) yearEl.textContent = new Date().getFullYear()
+
+  initAnalytics()
+  initShortcuts()
+  initRouter()
+  registerServiceWorker()
+  if (suggestedLang) await applyLanguageChange(suggestedLang)
+  initEditor()
 }
 
 // When the DOM is ready, keep a loading state until our init completes.
@@ -789,6 +2315,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.body.classList.add('is-loading')
   try {
     await init()
+  } catch (err) {
+    console.error('Portfolio failed to start', err)
+    rejectReady(err)
+    return
   } finally {
     // hide loader and reveal site after render
     const loader = document.getElementById('site-loader')
@@ -796,4 +2326,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.body.classList.remove('is-loading')
     document.body.removeAttribute('aria-busy')
   }
+  resolveReady(window.Portfolio)
+  emit('ready', { lang: currentLang })
 })
\ No newline at end of file
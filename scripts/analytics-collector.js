@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Local collector for the analytics sinks. Accepts the JSON batches of the `beacon` sink on any
+// path, the Plausible Events API (/api/event) and Umami's /api/send, prints every event and keeps
+// a count per event name. Try it with settings.json
+// `"analytics": { "sink": "beacon", "endpoint": "http://localhost:8788/collect", "batchSize": 1 }`
+// (or `"sink": "plausible"` / `"umami"` with `"endpoint": "http://localhost:8788"`).
+//
+// Usage: node scripts/analytics-collector.js [--port 8788] [--out events.jsonl]
+// --out also appends every event to that file as one JSON line. GET /stats returns the counts.
+const fs = require('fs')
+const http = require('http')
+
+function parseArgs(argv) {
+  const args = { port: 8788, out: '' }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i])
+    else if (argv[i] === '--out') args.out = argv[++i]
+  }
+  return args
+}
+
+// The events of one request in a common shape: { name, path, props }
+function eventsOf(url, body) {
+  if (url.startsWith('/api/event')) {
+    return [{ name: body.name, path: body.url ? new URL(body.url).pathname : '', props: body.props || {} }]
+  }
+  if (url.startsWith('/api/send')) {
+    const payload = body.payload || {}
+    return [{ name: payload.name || 'pageview', path: payload.url || '', props: payload.data || { lang: payload.language } }]
+  }
+  return Array.isArray(body.events) ? body.events.map(e => ({ name: e.name, path: e.path || '', props: e.props || {} })) : []
+}
+
+function serve(args) {
+  const counts = {}
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      })
+      res.end(body ? JSON.stringify(body) : '')
+    }
+    if (req.method === 'OPTIONS') return send(204)
+    if (req.method === 'GET' && req.url === '/stats') return send(200, counts)
+    if (req.method !== 'POST') return send(405, { error: 'POST only' })
+    let raw = ''
+    req.on('data', chunk => { raw += chunk })
+    req.on('end', () => {
+      let events
+      try {
+        // beacons arrive as text/plain, so the body is parsed whatever the content type
+        events = eventsOf(req.url, JSON.parse(raw || '{}'))
+      } catch (err) {
+        return send(400, { error: `invalid body: ${err.message}` })
+      }
+      events.forEach(e => {
+        counts[e.name] = (counts[e.name] || 0) + 1
+        const props = Object.entries(e.props).map(([k, v]) => `${k}=${v}`).join(' ')
+        console.log(`[${new Date().toISOString()}] ${req.url} ${e.name} ${e.path} ${props}`)
+        if (args.out) fs.appendFileSync(args.out, `${JSON.stringify({ received: new Date().toISOString(), ...e })}\n`)
+      })
+      send(202, { ok: true, received: events.length })
+    })
+  })
+  server.listen(args.port, () => console.log(`analytics collector listening on http://localhost:${args.port} (counts at /stats)`))
+  return server
+}
+
+if (require.main === module) serve(parseArgs(process.argv.slice(2)))
+
+module.exports = { serve }
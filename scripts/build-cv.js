@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// CV PDFs: renders cv.html for every content language with the same render.js templates as
+// the site, then prints it with headless Chrome/Chromium to files/<Full_Name>_CV_<LANG>.pdf
+// (the name cvHref() in render.js links to). Re-run it after editing content/*.json.
+//
+// Usage: node scripts/build-cv.js [--out files] [--lang en,pl] [--html-only]
+// The browser is taken from $CHROME_PATH or found on the PATH (google-chrome, chromium, ...).
+// --html-only writes the rendered cv-<lang>.html files to --out instead of printing them.
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { pathToFileURL } = require('url')
+const R = require('../render.js')
+const { loadStrings, readJson, fillI18n, setInner } = require('./build.js')
+
+const ROOT = path.resolve(__dirname, '..')
+const BROWSERS = ['google-chrome-stable', 'google-chrome', 'chromium', 'chromium-browser', 'chrome']
+const MAC_CHROME = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+
+function parseArgs(argv) {
+  const args = { out: path.join(ROOT, 'files'), langs: null, htmlOnly: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i])
+    else if (argv[i] === '--lang') args.langs = argv[++i].split(',').map(l => l.trim()).filter(Boolean)
+    else if (argv[i] === '--html-only') args.htmlOnly = true
+  }
+  return args
+}
+
+function findBrowser() {
+  if (process.env.CHROME_PATH) return process.env.CHROME_PATH
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+  for (const name of BROWSERS) {
+    const found = dirs.map(d => path.join(d, name)).find(f => fs.existsSync(f))
+    if (found) return found
+  }
+  return fs.existsSync(MAC_CHROME) ? MAC_CHROME : ''
+}
+
+// cv.html with the CV already in place; scripts are dropped and a <base> points the
+// stylesheet and assets at the repository
+function renderCvPage(template, lang, strings, profile) {
+  let html = template
+  html = html.replace(/<html[^>]*>/, `<html lang="${lang}">`)
+  html = html.replace('<head>', `<head>\n  <base href="${pathToFileURL(ROOT).href}/">`)
+  const title = R.resolveKey(strings, 'cv.title') || R.pageTitle(strings, profile)
+  if (title) html = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${R.escapeHtml(title)}</title>`)
+  html = html.replace(/\s*<script[^>]*><\/script>/g, '')
+  html = fillI18n(html, strings)
+  return setInner(html, 'id="cv"', R.cvHtml(strings, profile, lang))
+}
+
+function printPdf(browser, htmlFile, pdfFile) {
+  const result = spawnSync(browser, [
+    '--headless=new',
+    '--disable-gpu',
+    '--no-sandbox',
+    '--no-first-run',
+    '--no-pdf-header-footer',
+    '--print-to-pdf-no-header',
+    `--print-to-pdf=${pdfFile}`,
+    pathToFileURL(htmlFile).href
+  ], { encoding: 'utf8', timeout: 120000 })
+  if (result.error) throw result.error
+  if (result.status !== 0 || !fs.existsSync(pdfFile)) {
+    throw new Error(`${path.basename(browser)} exited with ${result.status}: ${(result.stderr || '').trim()}`)
+  }
+}
+
+function buildCv(args) {
+  const settings = { defaultLanguage: 'en', ...readJson('settings.json', {}) }
+  const profile = readJson('profile.json', {})
+  const available = fs.readdirSync(path.join(ROOT, 'content'))
+    .filter(f => f.endsWith('.json') && f !== 'template.json')
+    .map(f => f.replace(/\.json$/, ''))
+    .sort()
+  const langs = args.langs || available
+  const missing = langs.filter(l => !available.includes(l))
+  if (missing.length) throw new Error(`no content for: ${missing.join(', ')}`)
+  if (!R.cvFileName(profile, langs[0])) throw new Error('profile.json has no fullName to name the PDFs after')
+
+  const browser = args.htmlOnly ? '' : findBrowser()
+  if (!args.htmlOnly && !browser) throw new Error('no Chrome/Chromium found; set CHROME_PATH or use --html-only')
+
+  const template = fs.readFileSync(path.join(ROOT, 'cv.html'), 'utf8')
+  const work = args.htmlOnly ? args.out : fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-cv-'))
+  fs.mkdirSync(args.out, { recursive: true })
+  try {
+    langs.forEach(lang => {
+      const strings = loadStrings(lang, settings, profile)
+      const htmlFile = path.join(work, `cv-${lang}.html`)
+      fs.writeFileSync(htmlFile, renderCvPage(template, lang, strings, profile))
+      if (args.htmlOnly) return console.log(`rendered ${lang} -> ${path.relative(ROOT, htmlFile)}`)
+      const pdfFile = path.join(args.out, R.cvFileName(profile, lang))
+      printPdf(browser, htmlFile, pdfFile)
+      console.log(`printed ${lang} -> ${path.relative(ROOT, pdfFile)}`)
+    })
+  } finally {
+    if (!args.htmlOnly) fs.rmSync(work, { recursive: true, force: true })
+  }
+}
+
+if (require.main === module) {
+  try {
+    buildCv(parseArgs(process.argv.slice(2)))
+  } catch (err) {
+    console.error(`✖ ${err.message}`)
+    process.exitCode = 1
+  }
+}
+
+module.exports = { buildCv, renderCvPage }
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Responsive images: every local raster image the projects reference (`image` and `media` items
+// of type image, in any language) and the profile photo (`profile_photo` of any language or
+// profile.json) gets AVIF and WebP variants at several widths in images/responsive/ and a tiny
+// blurred placeholder. images.json maps each source (keyed without the leading slash) to its size,
+// srcsets and placeholder; pictureHtml() and profilePictureHtml() in render.js and the showcase in
+// script.js read it. Sources that do not exist are listed as { missing: true }: a project image
+// renders as a generated tile, the profile photo as the avatar. Variants newer than their source
+// are kept unless --force is given.
+//
+// Usage: node scripts/build-images.js [--out images.json] [--force]
+// Needs ImageMagick: $MAGICK_PATH, or `magick` (7) / `convert` (6) found on the PATH. A format
+// the installed ImageMagick cannot encode (AVIF without libheif) is skipped with a warning.
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { spawnSync } = require('child_process')
+const { readJson } = require('./build.js')
+
+const ROOT = path.resolve(__dirname, '..')
+const VARIANT_DIR = 'images/responsive'
+const WIDTHS = [320, 640, 960, 1280]
+const FORMATS = [{ type: 'avif', quality: 50 }, { type: 'webp', quality: 75 }]
+const PLACEHOLDER_WIDTH = 24
+const RASTER_RE = /^\/?(?!\/)[\w./-]+\.(png|jpe?g|webp)$/i
+
+function parseArgs(argv) {
+  const args = { out: path.join(ROOT, 'images.json'), force: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i])
+    else if (argv[i] === '--force') args.force = true
+  }
+  return args
+}
+
+function findMagick() {
+  if (process.env.MAGICK_PATH) return process.env.MAGICK_PATH
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+  for (const name of ['magick', 'convert']) {
+    const found = dirs.map(d => path.join(d, name)).find(f => fs.existsSync(f))
+    if (found) return found
+  }
+  return ''
+}
+
+function imageKey(src) {
+  return String(src).replace(/^\.?\//, '')
+}
+
+// Local images of the projects and the profile photo in every content language, keyed like images.json
+function sourceImages() {
+  const keys = new Set()
+  const add = src => { if (typeof src === 'string' && RASTER_RE.test(src)) keys.add(imageKey(src)) }
+  add(readJson('profile.json', {}).profile_photo)
+  fs.readdirSync(path.join(ROOT, 'content'))
+    .filter(f => f.endsWith('.json') && f !== 'template.json')
+    .forEach(f => {
+      const content = readJson(`content/${f}`, {})
+      add(content.profile_photo)
+      const projects = content.projects
+      ;(Array.isArray(projects) ? projects : []).forEach(p => {
+        if (!p) return
+        add(p.image)
+        ;(Array.isArray(p.media) ? p.media : []).forEach(m => { if (m && m.type === 'image') add(m.src) })
+      })
+    })
+  return Array.from(keys).sort()
+}
+
+function run(magick, args) {
+  const result = spawnSync(magick, args, { maxBuffer: 16 * 1024 * 1024 })
+  if (result.error) throw result.error
+  if (result.status !== 0) throw new Error(String(result.stderr || '').trim() || `${path.basename(magick)} exited with ${result.status}`)
+  return result.stdout
+}
+
+// Width and height after EXIF rotation, as the browser will show it
+function imageSize(magick, file) {
+  const [width, height] = String(run(magick, [`${file}[0]`, '-auto-orient', '-format', '%w %h', 'info:'])).trim().split(/\s+/).map(Number)
+  return { width, height }
+}
+
+// Every breakpoint below the image's own width, then the width itself (capped); never upscaled
+function variantWidths(width) {
+  const widths = WIDTHS.filter(w => w < width)
+  if (width <= WIDTHS[WIDTHS.length - 1]) widths.push(width)
+  return widths
+}
+
+function variantName(key, width, type) {
+  const base = path.basename(key).replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+  // the path hash keeps images/a.png and assets/a.png apart
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8)
+  return `${VARIANT_DIR}/${base}-${hash}-${width}.${type}`
+}
+
+function isFresh(target, source) {
+  return fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs
+}
+
+function placeholder(magick, file) {
+  const data = run(magick, [`${file}[0]`, '-auto-orient', '-strip', '-resize', `${PLACEHOLDER_WIDTH}x`, '-blur', '0x1.5', '-quality', '40', 'webp:-'])
+  return `data:image/webp;base64,${data.toString('base64')}`
+}
+
+function buildImage(magick, key, args, skipped) {
+  const file = path.join(ROOT, key)
+  const { width, height } = imageSize(magick, file)
+  const entry = { width, height, srcset: {} }
+  FORMATS.forEach(({ type, quality }) => {
+    if (skipped.has(type)) return
+    const variants = []
+    try {
+      variantWidths(width).forEach(w => {
+        const rel = variantName(key, w, type)
+        const target = path.join(ROOT, rel)
+        if (args.force || !isFresh(target, file)) run(magick, [`${file}[0]`, '-auto-orient', '-strip', '-resize', `${w}x`, '-quality', String(quality), target])
+        variants.push(`/${rel} ${w}w`)
+      })
+      entry.srcset[type] = variants.join(', ')
+    } catch (err) {
+      // most likely an ImageMagick without that encoder; the other format still works
+      skipped.add(type)
+      console.warn(`⚠ no ${type.toUpperCase()} variants: ${err.message.split('\n')[0]}`)
+    }
+  })
+  entry.placeholder = placeholder(magick, file)
+  return entry
+}
+
+function buildImages(args) {
+  const magick = findMagick()
+  if (!magick) throw new Error('no ImageMagick found; install it or set MAGICK_PATH')
+  fs.mkdirSync(path.join(ROOT, VARIANT_DIR), { recursive: true })
+  const images = {}
+  const skipped = new Set()
+  let missing = 0
+  sourceImages().forEach(key => {
+    if (!fs.existsSync(path.join(ROOT, key))) {
+      missing++
+      images[key] = { missing: true }
+      return console.warn(`⚠ ${key} does not exist; the pages show their fallback instead`)
+    }
+    try {
+      images[key] = buildImage(magick, key, args, skipped)
+      console.log(`processed ${key} (${images[key].width}×${images[key].height})`)
+    } catch (err) {
+      console.warn(`⚠ ${key}: ${err.message}`)
+    }
+  })
+  fs.writeFileSync(args.out, `${JSON.stringify({ generated: new Date().toISOString(), images }, null, 2)}\n`)
+  console.log(`wrote ${path.relative(ROOT, args.out)}: ${Object.keys(images).length} images${missing ? `, ${missing} missing` : ''}`)
+}
+
+if (require.main === module) {
+  try {
+    buildImages(parseArgs(process.argv.slice(2)))
+  } catch (err) {
+    console.error(`✖ ${err.message}`)
+    process.exitCode = 1
+  }
+}
+
+module.exports = { buildImages }
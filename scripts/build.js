@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// Static pre-render: writes the site to dist/ with one page per content language
+// (`/` for settings.defaultLanguage, `/<lang>/` for the others). Every page already contains
+// its text, projects and sections, rendered with the same render.js helpers script.js uses,
+// plus canonical/hreflang links; script.js then only hydrates it. Also emits sitemap.xml and
+// a sw.js whose precache list and cache version match the built files.
+//
+// Usage: node scripts/build.js [--out dist]
+// Runs offline with Node's standard library only.
+const fs = require('fs')
+const crypto = require('crypto')
+const path = require('path')
+const R = require('../render.js')
+
+const ROOT = path.resolve(__dirname, '..')
+// files and folders copied to the output as they are
+const STATIC_ENTRIES = ['styles.css', 'script.js', 'render.js', 'cv.html', 'cv.js', 'editor.js', 'scripts/lib/json-schema.js', 'schemas', 'sw.js', 'manifest.webmanifest', 'settings.json', 'profile.json', 'repos.json', 'images.json', 'content', 'assets', 'files', 'images']
+// precached by sw.js next to the language pages (the JSON is cached as it is fetched)
+const SHELL_ENTRIES = ['styles.css', 'script.js', 'render.js', 'cv.html', 'cv.js', 'manifest.webmanifest', 'assets', 'files']
+
+function readJson(file, fallback) {
+  const full = path.join(ROOT, file)
+  if (!fs.existsSync(full)) return fallback
+  return JSON.parse(fs.readFileSync(full, 'utf8'))
+}
+
+function parseArgs(argv) {
+  const args = { out: path.join(ROOT, 'dist') }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i])
+  }
+  return args
+}
+
+function contentLanguages() {
+  return fs.readdirSync(path.join(ROOT, 'content'))
+    .filter(f => f.endsWith('.json') && f !== 'template.json')
+    .map(f => f.replace(/\.json$/, ''))
+    .sort()
+}
+
+// Public path of a language's page relative to the site root ('' for the default language)
+function pagePath(lang, settings) {
+  return lang === settings.defaultLanguage ? '' : `${lang}/`
+}
+
+// Replace the inner HTML of the first element carrying `attr` (e.g. class="skills-list").
+// Works on the known shape of index.html, where these containers are empty or text-only.
+function setInner(html, attr, inner) {
+  const re = new RegExp(`(<(\\w+)[^>]*\\s${attr}[^>]*>)([\\s\\S]*?)(</\\2>)`)
+  return html.replace(re, (_, open, tag, old, close) => `${open}${inner}${close}`)
+}
+
+function setAttr(html, selectorAttr, name, value) {
+  const re = new RegExp(`<[^>]*\\s${selectorAttr}[^>]*>`)
+  return html.replace(re, tag => {
+    const attrRe = new RegExp(`\\s${name}="[^"]*"`)
+    const next = ` ${name}="${R.escapeHtml(value)}"`
+    return attrRe.test(tag) ? tag.replace(attrRe, next) : tag.replace(/\s*\/?>$/, m => `${next}${m}`)
+  })
+}
+
+// Same lookup as updateTextNodes(): fill every text-only [data-i18n] element
+function fillI18n(html, strings) {
+  return html.replace(/(<(\w+)[^>]*\sdata-i18n="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/g, (m, open, tag, key, old, close) => {
+    const value = R.resolveKey(strings, key)
+    return value ? `${open}${R.escapeHtml(value)}${close}` : m
+  })
+}
+
+// Pages below the root need their relative asset URLs rewritten (brand link and anchors stay)
+function rebaseUrls(html, prefix) {
+  if (!prefix) return html
+  return html.replace(/\s(href|src)="([^"]*)"/g, (m, attr, url) => {
+    if (!url || /^(?:[a-z]+:|\/|#|\.\/)/i.test(url)) return m
+    return ` ${attr}="${prefix}${url}"`
+  })
+}
+
+// Move the registered sections into the order of settings.sections (like applySectionLayout()
+// in script.js), adding the ones index.html has no markup for
+function layoutSections(html, settings) {
+  const found = []
+  const blocks = R.sectionLayout(settings).map(({ section }) => {
+    const match = new RegExp(`(\\s*)(<section[^>]*\\sid="${section.id}"[^>]*>[\\s\\S]*?</section>)`).exec(html)
+    if (match) found.push(match)
+    return match ? match[2] : R.sectionShellHtml(section)
+  })
+  if (!found.length) return html.replace(/\s*<\/main>/, end => `\n\n    ${blocks.join('\n\n    ')}${end}`)
+  // cut the sections out back to front, then insert them where the first one was
+  found.sort((a, b) => b.index - a.index).forEach(m => { html = html.slice(0, m.index) + html.slice(m.index + m[0].length) })
+  const first = found[found.length - 1]
+  return html.slice(0, first.index) + first[1] + blocks.join('\n\n    ') + html.slice(first.index)
+}
+
+function headLinks(lang, languages, settings, siteUrl) {
+  const links = [`<link rel="canonical" href="${siteUrl}${pagePath(lang, settings)}">`]
+  languages.forEach(l => links.push(`<link rel="alternate" hreflang="${l}" href="${siteUrl}${pagePath(l, settings)}">`))
+  links.push(`<link rel="alternate" hreflang="x-default" href="${siteUrl}">`)
+  return links.map(l => `  ${l}`).join('\n')
+}
+
+// Content of a language with the same per-key fallback to the default language as
+// loadContent() in script.js, placeholders filled from profile.json
+function loadStrings(lang, settings, profile) {
+  const own = readContent(lang, settings)
+  const content = lang === settings.defaultLanguage ? own : R.mergeContent(readContent(settings.defaultLanguage, settings), own).content
+  return R.prepareStrings(content, profile)
+}
+
+// content/<lang>.json with resume.<lang>.json (JSON Resume) over it when settings.jsonResume is
+// on, like loadLanguageContent() in render.js
+function readContent(lang, settings) {
+  const content = readJson(`content/${lang}.json`, {})
+  const resume = settings.jsonResume ? readJson(`resume.${lang}.json`, null) : null
+  return resume ? R.mergeContent(content, R.fromJsonResume(resume)).content : content
+}
+
+function renderPage(template, lang, ctx) {
+  const { settings, profile, languages, siteUrl, repos, images } = ctx
+  // repos.json and images.json ride along like in renderSections() (script.js)
+  const strings = { ...loadStrings(lang, settings, profile), repos, images }
+  const projects = Array.isArray(strings.projects) ? strings.projects : []
+  const depth = pagePath(lang, settings) ? '../' : ''
+  let html = template
+
+  const entry = (settings.languages || []).find(l => l.code === lang) || {}
+  // the theme defaults read by the pre-paint script in <head>
+  const theme = ` data-default-theme="${R.escapeHtml(settings.defaultTheme || 'dark')}"${settings.palette ? ` data-palette="${R.escapeHtml(settings.palette)}"` : ''}`
+  html = html.replace(/<html[^>]*>/, `<html lang="${lang}" dir="${entry.dir || 'ltr'}"${theme} data-prerendered="${lang}"${depth ? ` data-site-root="${depth}"` : ''}>`)
+  const title = R.pageTitle(strings, profile)
+  if (title) html = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${R.escapeHtml(title)}</title>`)
+  // description, Open Graph / Twitter tags and JSON-LD; script.js refreshes them on language changes
+  const switcher = Array.isArray(settings.languages) ? settings.languages : languages
+  const social = R.socialHeadHtml(strings, profile, lang, { url: `${siteUrl}${pagePath(lang, settings)}`, site: siteUrl, languages: switcher })
+  const palettes = settings.palettes ? `\n  <style id="theme-palettes">${R.paletteCss(settings.palettes)}</style>` : ''
+  html = html.replace('</head>', `  ${social}${palettes}\n${headLinks(lang, languages, settings, siteUrl)}\n</head>`)
+  // no loader overlay or blurred skeleton: the content is already there
+  html = html.replace(/<body class="([^"]*)"\s*aria-busy="true">/, (m, cls) => {
+    const rest = cls.replace(/\s*is-loading/, '').trim()
+    return rest ? `<body class="${rest}">` : '<body>'
+  })
+  html = html.replace(/\s*<div id="site-loader"[\s\S]*?<\/div>\s*<\/div>\s*<\/div>/, '')
+
+  html = layoutSections(html, settings)
+  html = fillI18n(html, strings)
+  if (Array.isArray(settings.languages)) html = setInner(html, 'class="lang-switch[^"]*"', R.languageSwitchHtml(settings.languages, lang))
+  // same registry, order and visibility as renderSections() in script.js
+  R.sectionLayout(settings).forEach(({ section, visible }) => {
+    if (!visible || !R.sectionHasData(section, strings)) return (html = setAttr(html, `id="${section.id}"`, 'hidden', 'hidden'))
+    if (section.template) html = setInner(html, `class="${section.container}"`, section.template(strings, profile, lang))
+  })
+  if (projects.length) {
+    html = setInner(html, 'class="selected-project-title"', R.escapeHtml(projects[0].title || ''))
+    html = setInner(html, 'class="selected-project-desc"', R.escapeHtml(projects[0].long_description || ''))
+    html = setInner(html, 'class="selected-project-meta"', R.projectDetailsHtml(projects[0], strings, lang, repos))
+    // the first card is the selected tab (projectCardHtml)
+    html = setAttr(html, 'id="project-showcase"', 'aria-labelledby', R.projectTabId(R.projectIdOf(projects[0], 0)))
+  }
+  html = setInner(html, 'id="year"', String(new Date().getFullYear()))
+  // data-photo tells renderHero() in script.js that the photo is already in place
+  html = setInner(html, 'class="profile-card"', R.profilePictureHtml(strings, profile, strings.images))
+  html = setAttr(html, 'class="profile-card"', 'data-photo', R.profilePhoto(strings, profile))
+  if (profile.fullName) html = setAttr(html, 'class="logo"', 'alt', profile.fullName)
+  const cv = R.cvHref(strings, profile, lang)
+  if (cv) {
+    html = setAttr(html, 'id="cvDownload"', 'href', cv)
+    html = setAttr(html, 'id="cvDownload"', 'download', path.basename(cv))
+  }
+  html = setAttr(html, 'id="cvView"', 'href', `cv.html?lang=${lang}`)
+  return rebaseUrls(html, depth)
+}
+
+function sitemap(languages, settings, siteUrl, lastmod) {
+  const alternates = languages.map(l => `    <xhtml:link rel="alternate" hreflang="${l}" href="${siteUrl}${pagePath(l, settings)}"/>`).join('\n')
+  const urls = languages.map(lang => [
+    '  <url>',
+    `    <loc>${siteUrl}${pagePath(lang, settings)}</loc>`,
+    lastmod[lang] ? `    <lastmod>${lastmod[lang]}</lastmod>` : '',
+    alternates,
+    '  </url>'
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+function copyStatic(out) {
+  const resumes = fs.readdirSync(ROOT).filter(f => /^resume\.[\w-]+\.json$/.test(f))
+  STATIC_ENTRIES.concat(resumes).forEach(entry => {
+    const src = path.join(ROOT, entry)
+    if (fs.existsSync(src)) fs.cpSync(src, path.join(out, entry), { recursive: true })
+  })
+}
+
+function listFiles(dir, rel = '') {
+  const full = path.join(dir, rel)
+  if (!fs.existsSync(full)) return []
+  if (!fs.statSync(full).isDirectory()) return [rel]
+  return fs.readdirSync(full).sort().flatMap(name => listFiles(dir, rel ? `${rel}/${name}` : name))
+}
+
+// Point the copied sw.js at the built shell; the version is a hash of everything it
+// precaches, so a deploy that changes any of it replaces the old cache
+function writeServiceWorker(out, languages, settings) {
+  const target = path.join(out, 'sw.js')
+  if (!fs.existsSync(target)) return
+  const pages = languages.map(lang => pagePath(lang, settings))
+  const files = SHELL_ENTRIES.flatMap(entry => listFiles(out, entry))
+  const hash = crypto.createHash('sha256')
+  pages.map(p => `${p}index.html`).concat(files).forEach(f => hash.update(f).update(fs.readFileSync(path.join(out, f))))
+  const urls = pages.map(p => p || './').concat(files)
+  const sw = fs.readFileSync(target, 'utf8')
+    .replace(/const CACHE_VERSION = '[^']*'/, `const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}'`)
+    .replace(/const PRECACHE_URLS = \[[\s\S]*?\]/, `const PRECACHE_URLS = [\n${urls.map(u => `  '${u}'`).join(',\n')}\n]`)
+  fs.writeFileSync(target, sw)
+  console.log(`wrote ${path.relative(ROOT, target)} (${urls.length} precached)`)
+}
+
+function build(args) {
+  const settings = { defaultLanguage: 'en', ...readJson('settings.json', {}) }
+  const profile = readJson('profile.json', {})
+  let siteUrl = settings.siteUrl || profile.website || '/'
+  if (!siteUrl.endsWith('/')) siteUrl += '/'
+  const languages = contentLanguages()
+  const repos = readJson('repos.json', {}).repos || {}
+  const images = readJson('images.json', {}).images || {}
+  const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+
+  fs.rmSync(args.out, { recursive: true, force: true })
+  fs.mkdirSync(args.out, { recursive: true })
+  copyStatic(args.out)
+
+  const lastmod = {}
+  languages.forEach(lang => {
+    const target = path.join(args.out, pagePath(lang, settings), 'index.html')
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    fs.writeFileSync(target, renderPage(template, lang, { settings, profile, languages, siteUrl, repos, images }))
+    const meta = readJson(`content/${lang}.json`, {}).meta || {}
+    if (meta.last_updated) lastmod[lang] = meta.last_updated
+    console.log(`rendered ${lang} -> ${path.relative(ROOT, target)}`)
+  })
+
+  fs.writeFileSync(path.join(args.out, 'sitemap.xml'), sitemap(languages, settings, siteUrl, lastmod))
+  fs.writeFileSync(path.join(args.out, 'robots.txt'), `User-agent: *\nAllow: /\nSitemap: ${siteUrl}sitemap.xml\n`)
+  console.log(`wrote ${path.relative(ROOT, args.out) || '.'}/sitemap.xml`)
+  writeServiceWorker(args.out, languages, settings)
+}
+
+if (require.main === module) {
+  build(parseArgs(process.argv.slice(2)))
+}
+
+module.exports = { build, renderPage, loadStrings, readJson, fillI18n, setInner, setAttr }
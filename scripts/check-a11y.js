@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Accessibility check: serves the built site (dist/ by default) on a local port and runs a
+// headless axe-core audit (WCAG 2.1 A/AA rules) over every language page and cv.html. Any
+// violation exits 1. The server is part of this process and stops when the audit ends.
+//
+// Usage: node scripts/check-a11y.js [--dir dist] [--port 8080] [--install-chrome]
+// Needs Chrome and a matching ChromeDriver; --install-chrome gets both through
+// browser-driver-manager (axe reads the paths it stores in ~/.browser-driver-manager/.env).
+// The tools run through npx at the pinned versions below, so every run audits with the same rules.
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const { spawn } = require('child_process')
+
+const ROOT = path.resolve(__dirname, '..')
+const AXE_CLI = '@axe-core/cli@4.13.0'
+const DRIVER_MANAGER = 'browser-driver-manager@2.0.1'
+const TAGS = 'wcag2a,wcag2aa,wcag21a,wcag21aa'
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.pdf': 'application/pdf',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8'
+}
+
+function parseArgs(argv) {
+  const args = { dir: path.join(ROOT, 'dist'), port: 8080, installChrome: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') args.dir = path.resolve(argv[++i])
+    else if (argv[i] === '--port') args.port = Number(argv[++i])
+    else if (argv[i] === '--install-chrome') args.installChrome = true
+  }
+  return args
+}
+
+// `/` plus every language directory of the build (e.g. `/pl/`), then the CV page
+function auditPaths(dir) {
+  const languages = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && fs.existsSync(path.join(dir, d.name, 'index.html')))
+    .map(d => `/${d.name}/`)
+    .sort()
+  return ['/'].concat(languages, fs.existsSync(path.join(dir, 'cv.html')) ? ['/cv.html'] : [])
+}
+
+function serve(dir, port) {
+  const server = http.createServer((req, res) => {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+    let file = path.join(dir, pathname)
+    if (!file.startsWith(dir)) file = ''
+    else if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html')
+    if (!file || !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      return res.end('not found')
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' })
+    fs.createReadStream(file).pipe(res)
+  })
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, '127.0.0.1', () => resolve(server))
+  })
+}
+
+// npx with inherited output; resolves with the exit code
+function npx(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.platform === 'win32' ? 'npx.cmd' : 'npx', ['--yes', ...args], { stdio: 'inherit' })
+    child.on('error', reject)
+    child.on('close', code => resolve(code))
+  })
+}
+
+async function checkA11y(args) {
+  if (!fs.existsSync(path.join(args.dir, 'index.html'))) throw new Error(`${path.relative(ROOT, args.dir) || '.'} has no index.html; run node scripts/build.js first`)
+  if (args.installChrome && await npx([DRIVER_MANAGER, 'install', 'chrome']) !== 0) throw new Error('installing Chrome failed')
+  const server = await serve(args.dir, args.port)
+  try {
+    const urls = auditPaths(args.dir).map(p => `http://127.0.0.1:${args.port}${p}`)
+    console.log(`auditing ${urls.length} page(s) with ${AXE_CLI}`)
+    const code = await npx([AXE_CLI, ...urls, '--tags', TAGS, '--load-delay', '2000', '--exit'])
+    if (code !== 0) throw new Error('accessibility violations (or the audit could not run)')
+  } finally {
+    server.close()
+  }
+}
+
+if (require.main === module) {
+  checkA11y(parseArgs(process.argv.slice(2))).catch(err => {
+    console.error(`✖ ${err.message}`)
+    process.exitCode = 1
+  })
+}
+
+module.exports = { checkA11y, auditPaths }
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Local stand-in for the contact form endpoint. Accepts the form-encoded posts of the `post`
+// adapter and the JSON of the `formspree` one, prints every message and answers the way
+// Formspree does ({ ok: true } or 422 with { errors: [{ field, message }] }). Try it with
+// settings.json `"contactForm": { "adapter": "formspree", "endpoint": "http://localhost:8787/contact" }`.
+//
+// Usage: node scripts/contact-mock-server.js [--port 8787] [--fail] [--delay 500]
+// --fail answers every message with HTTP 500, --delay waits that many ms before answering.
+const http = require('http')
+
+function parseArgs(argv) {
+  const args = { port: 8787, fail: false, delay: 0 }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i])
+    else if (argv[i] === '--fail') args.fail = true
+    else if (argv[i] === '--delay') args.delay = Number(argv[++i])
+  }
+  return args
+}
+
+function parseBody(req, raw) {
+  if (/application\/json/.test(req.headers['content-type'] || '')) return JSON.parse(raw || '{}')
+  return Object.fromEntries(new URLSearchParams(raw))
+}
+
+function validateMessage(fields) {
+  const errors = []
+  ;['name', 'email', 'message'].forEach(field => {
+    if (!String(fields[field] || '').trim()) errors.push({ field, message: 'is required' })
+  })
+  if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) errors.push({ field: 'email', message: 'should be an email' })
+  return errors
+}
+
+function serve(args) {
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+      })
+      res.end(body ? JSON.stringify(body) : '')
+    }
+    if (req.method === 'OPTIONS') return send(204)
+    if (req.method !== 'POST') return send(405, { ok: false, errors: [{ message: 'POST only' }] })
+    let raw = ''
+    req.on('data', chunk => { raw += chunk })
+    req.on('end', () => setTimeout(() => {
+      let fields
+      try {
+        fields = parseBody(req, raw)
+      } catch (err) {
+        return send(400, { ok: false, errors: [{ message: `invalid body: ${err.message}` }] })
+      }
+      if (args.fail) return send(500, { ok: false, errors: [{ message: 'mock failure (--fail)' }] })
+      const errors = validateMessage(fields)
+      if (errors.length) return send(422, { ok: false, errors })
+      // the real backends drop honeypot hits silently
+      if (fields._gotcha) return send(200, { ok: true })
+      console.log(`[${new Date().toISOString()}] ${req.url} from ${fields.name} <${fields.email}> (${fields.lang || '?'})\n${fields.message}\n`)
+      send(200, { ok: true, next: '/thanks' })
+    }, args.delay))
+  })
+  server.listen(args.port, () => console.log(`contact mock listening on http://localhost:${args.port}/contact`))
+  return server
+}
+
+if (require.main === module) serve(parseArgs(process.argv.slice(2)))
+
+module.exports = { serve }
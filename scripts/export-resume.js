@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// JSON Resume export: the content of every language (with the same fallback to the default
+// language as the site) and profile.json as files/resume.<lang>.json, in the jsonresume.org
+// schema that resume themes and job sites read. toJsonResume() in render.js does the mapping;
+// Portfolio.getResume() returns the same object in the browser.
+//
+// Usage: node scripts/export-resume.js [--out files] [--lang en,pl]
+const fs = require('fs')
+const path = require('path')
+const R = require('../render.js')
+const { loadStrings, readJson } = require('./build.js')
+
+const ROOT = path.resolve(__dirname, '..')
+
+function parseArgs(argv) {
+  const args = { out: path.join(ROOT, 'files'), langs: null }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i])
+    else if (argv[i] === '--lang') args.langs = argv[++i].split(',').map(l => l.trim()).filter(Boolean)
+  }
+  return args
+}
+
+function exportResume(args) {
+  const settings = { defaultLanguage: 'en', ...readJson('settings.json', {}) }
+  const profile = readJson('profile.json', {})
+  const site = settings.siteUrl || profile.website || ''
+  const available = fs.readdirSync(path.join(ROOT, 'content'))
+    .filter(f => f.endsWith('.json') && f !== 'template.json')
+    .map(f => f.replace(/\.json$/, ''))
+    .sort()
+  const langs = args.langs || available
+  const missing = langs.filter(l => !available.includes(l))
+  if (missing.length) throw new Error(`no content for: ${missing.join(', ')}`)
+
+  fs.mkdirSync(args.out, { recursive: true })
+  langs.forEach(lang => {
+    const resume = R.toJsonResume(loadStrings(lang, settings, profile), profile, { site })
+    const target = path.join(args.out, `resume.${lang}.json`)
+    fs.writeFileSync(target, `${JSON.stringify(resume, null, 2)}\n`)
+    console.log(`wrote ${lang} -> ${path.relative(ROOT, target)}`)
+  })
+}
+
+if (require.main === module) {
+  try {
+    exportResume(parseArgs(process.argv.slice(2)))
+  } catch (err) {
+    console.error(`✖ ${err.message}`)
+    process.exitCode = 1
+  }
+}
+
+module.exports = { exportResume }
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// GitHub data for the project cards: for every project whose repo_link points at a GitHub
+// repository, fetches stars, the last push, the languages and the latest release from the REST
+// API into repos.json (keyed "owner/repo"). The site only reads that file, so visitors never hit
+// the API or its rate limits. A repository that fails to load keeps its previous entry.
+//
+// Usage: node scripts/fetch-repos.js [--out repos.json] [--api https://api.github.com] [--fixtures dir]
+//                                    [--content dir]
+// $GITHUB_TOKEN (optional) raises the rate limit. --api points at a mock of the API;
+// --fixtures reads the responses from files laid out like the API paths instead:
+//   <dir>/repos/<owner>/<repo>.json, <dir>/repos/<owner>/<repo>/languages.json,
+//   <dir>/repos/<owner>/<repo>/releases/latest.json (missing: no release)
+// --content takes the repo_links from another content directory (scripts/fixtures/github/ has
+// both for test/fetch-repos.test.js).
+const fs = require('fs')
+const path = require('path')
+const { githubRepoKey } = require('../render.js')
+const { readJson } = require('./build.js')
+
+const ROOT = path.resolve(__dirname, '..')
+// languages shown per card
+const TOP_LANGUAGES = 3
+
+function parseArgs(argv) {
+  const args = { out: path.join(ROOT, 'repos.json'), api: 'https://api.github.com', fixtures: '', content: path.join(ROOT, 'content') }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i])
+    else if (argv[i] === '--api') args.api = argv[++i].replace(/\/+$/, '')
+    else if (argv[i] === '--fixtures') args.fixtures = path.resolve(argv[++i])
+    else if (argv[i] === '--content') args.content = path.resolve(argv[++i])
+  }
+  return args
+}
+
+// repo_link of every project in every language (translations may point elsewhere)
+function linkedRepos(dir) {
+  const keys = new Set()
+  fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json') && f !== 'template.json')
+    .forEach(f => {
+      const projects = readJson(path.relative(ROOT, path.join(dir, f)), {}).projects
+      ;(Array.isArray(projects) ? projects : []).forEach(p => {
+        const key = githubRepoKey(p && p.repo_link)
+        if (key) keys.add(key)
+      })
+    })
+  return Array.from(keys).sort()
+}
+
+// GET an API path; null for 404 (e.g. a repository without releases)
+function apiClient(args) {
+  if (args.fixtures) {
+    return async (apiPath) => {
+      const file = path.join(args.fixtures, `${apiPath}.json`)
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+    }
+  }
+  const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'portfolio-fetch-repos' }
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`
+  return async (apiPath) => {
+    const res = await fetch(`${args.api}/${apiPath}`, { headers })
+    if (res.status === 404) return null
+    if (!res.ok) throw new Error(`${apiPath}: HTTP ${res.status}`)
+    return res.json()
+  }
+}
+
+function topLanguages(bytes) {
+  const total = Object.values(bytes || {}).reduce((sum, n) => sum + n, 0)
+  if (!total) return []
+  return Object.keys(bytes)
+    .sort((a, b) => bytes[b] - bytes[a])
+    .slice(0, TOP_LANGUAGES)
+    .map(name => ({ name, share: Math.round((bytes[name] / total) * 1000) / 10 }))
+}
+
+async function fetchRepo(get, key) {
+  const repo = await get(`repos/${key}`)
+  if (!repo) throw new Error(`${key}: repository not found`)
+  const [languages, release] = await Promise.all([get(`repos/${key}/languages`), get(`repos/${key}/releases/latest`)])
+  const langs = topLanguages(languages)
+  return {
+    url: repo.html_url || `https://github.com/${key}`,
+    stars: repo.stargazers_count || 0,
+    pushed_at: repo.pushed_at || '',
+    archived: !!repo.archived,
+    languages: langs.length ? langs : (repo.language ? [{ name: repo.language, share: 100 }] : []),
+    release: release && release.tag_name
+      ? { tag: release.tag_name, name: release.name || release.tag_name, url: release.html_url || '', published_at: release.published_at || '' }
+      : null
+  }
+}
+
+async function fetchRepos(args) {
+  const keys = linkedRepos(args.content || path.join(ROOT, 'content'))
+  const previous = fs.existsSync(args.out) ? JSON.parse(fs.readFileSync(args.out, 'utf8')).repos || {} : {}
+  const get = apiClient(args)
+  const repos = {}
+  let failed = 0
+  // one at a time: a handful of repositories, and the API dislikes bursts
+  for (const key of keys) {
+    try {
+      repos[key] = await fetchRepo(get, key)
+      console.log(`fetched ${key} (${repos[key].stars} stars)`)
+    } catch (err) {
+      failed++
+      console.warn(`⚠ ${err.message}${previous[key] ? ' — keeping the previous data' : ''}`)
+      if (previous[key]) repos[key] = previous[key]
+    }
+  }
+  fs.writeFileSync(args.out, `${JSON.stringify({ generated: new Date().toISOString(), repos }, null, 2)}\n`)
+  console.log(`wrote ${path.relative(ROOT, args.out)}: ${Object.keys(repos).length} of ${keys.length} linked repositories${failed ? `, ${failed} failed` : ''}`)
+}
+
+if (require.main === module) {
+  fetchRepos(parseArgs(process.argv.slice(2))).catch(err => {
+    console.error(`✖ ${err.message}`)
+    process.exitCode = 1
+  })
+}
+
+module.exports = { fetchRepos }
@@ -0,0 +1,79 @@
+// Minimal JSON Schema (draft-07 subset) validator: type, enum, const, required, properties,
+// additionalProperties, items, minItems, minLength, pattern, format (uri, date), anyOf and
+// local `$ref`s ("#/definitions/..."). Enough for the schemas in schemas/ without a dependency.
+;(function (root, factory) {
+  const api = factory()
+  if (typeof module === 'object' && module.exports) module.exports = api
+  else root.PortfolioSchema = api
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FORMATS = {
+    uri: v => /^(https?:\/\/|mailto:)\S+$/i.test(v),
+    date: v => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v)
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (Number.isInteger(value)) return 'integer'
+    return typeof value
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value)
+    return actual === type || (type === 'number' && actual === 'integer')
+  }
+
+  function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`)
+    return ref.slice(2).split('/').reduce((cur, part) => cur && cur[part], rootSchema)
+  }
+
+  function joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`
+    return base ? `${base}.${key}` : key
+  }
+
+  // Returns a list of { path, message }; an empty list means the value is valid
+  function validate(value, schema, rootSchema = schema, path = '') {
+    if (schema.$ref) return validate(value, resolveRef(rootSchema, schema.$ref), rootSchema, path)
+    const errors = []
+    const fail = (message) => errors.push({ path: path || '(root)', message })
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+      if (!types.some(t => matchesType(value, t))) {
+        fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`)
+        return errors
+      }
+    }
+    if ('const' in schema && value !== schema.const) fail(`must equal ${JSON.stringify(schema.const)}`)
+    if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`)
+    if (schema.anyOf && !schema.anyOf.some(s => validate(value, s, rootSchema, path).length === 0)) {
+      fail(schema.anyOfMessage || 'does not match any of the allowed shapes')
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength && value.length < schema.minLength) fail(`must not be empty`)
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`)
+      if (schema.format && FORMATS[schema.format] && value && !FORMATS[schema.format](value)) fail(`is not a valid ${schema.format}`)
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`)
+      if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, rootSchema, joinPath(path, i))))
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => { if (!(key in value)) errors.push({ path: joinPath(path, key), message: 'is required' }) })
+      const props = schema.properties || {}
+      Object.keys(value).forEach(key => {
+        if (props[key]) errors.push(...validate(value[key], props[key], rootSchema, joinPath(path, key)))
+        else if (schema.additionalProperties === false) errors.push({ path: joinPath(path, key), message: 'is not an allowed property' })
+        else if (typeof schema.additionalProperties === 'object') errors.push(...validate(value[key], schema.additionalProperties, rootSchema, joinPath(path, key)))
+      })
+    }
+    return errors
+  }
+
+  return { validate }
+})
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+// Content checker: validates content/*.json, settings.json and profile.json against the
+// schemas in schemas/ and cross-checks the languages against each other and index.html.
+// Reports keys missing in some languages, data-i18n keys without a translation, unresolved
+// {{placeholders}}, referenced local assets that do not exist and malformed YouTube ids.
+// Exits 1 on any error. --allow-missing-assets reports missing assets as warnings instead, for
+// local work before the images exist; the deploy workflow runs without it.
+//
+// Usage: node scripts/validate-content.js [--allow-missing-assets]
+const fs = require('fs')
+const path = require('path')
+const { validate } = require('./lib/json-schema')
+const { hasKey, mergeContent, fromJsonResume, cvFileName, SECTIONS } = require('../render.js')
+
+const ROOT = path.resolve(__dirname, '..')
+// placeholders with a fixed mapping onto profile.json (see replacePlaceholders in render.js)
+const PROFILE_PLACEHOLDERS = {
+  full_name_from_external_file: 'fullName',
+  email_from_external_file: 'email',
+  phone_from_external_file: 'phone'
+}
+const ASSET_RE = /^\/?(?!\/)[\w./-]+\.(png|jpe?g|gif|svg|webp|avif|pdf|mp4|webm|ogg|ico)$/i
+const YOUTUBE_ID_RE = /^[\w-]{11}$/
+
+function parseArgs(argv) {
+  const args = { allowMissingAssets: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--allow-missing-assets') args.allowMissingAssets = true
+  }
+  return args
+}
+
+function readJson(rel, report) {
+  const full = path.join(ROOT, rel)
+  if (!fs.existsSync(full)) { report(rel, 'error', '(file)', 'does not exist'); return null }
+  try {
+    return JSON.parse(fs.readFileSync(full, 'utf8'))
+  } catch (err) {
+    report(rel, 'error', '(file)', `is not valid JSON: ${err.message}`)
+    return null
+  }
+}
+
+// Visit every string leaf with its display path
+function walkStrings(value, visit, at = '') {
+  if (typeof value === 'string') return visit(value, at)
+  if (Array.isArray(value)) return value.forEach((v, i) => walkStrings(v, visit, `${at}[${i}]`))
+  if (value && typeof value === 'object') Object.keys(value).forEach(k => walkStrings(value[k], visit, at ? `${at}.${k}` : k))
+}
+
+// Plural forms ({ one, few, many, other }) legitimately differ per language
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+function isPluralForms(value) {
+  return 'other' in value && Object.keys(value).every(k => PLURAL_CATEGORIES.includes(k))
+}
+
+// Flatten an object to its key paths; arrays of projects are matched by project_id, other
+// arrays of objects by position, arrays of plain values and plural forms count as one leaf
+function keyPaths(value, at = '', out = new Set()) {
+  if (Array.isArray(value)) {
+    if (!value.every(v => v && typeof v === 'object')) { out.add(at); return out }
+    value.forEach((v, i) => keyPaths(v, `${at}[${v.project_id || i}]`, out))
+    return out
+  }
+  if (value && typeof value === 'object' && !isPluralForms(value)) {
+    Object.keys(value).forEach(k => keyPaths(value[k], at ? `${at}.${k}` : k, out))
+    return out
+  }
+  out.add(at)
+  return out
+}
+
+function checkSchema(rel, data, schemaFile, report) {
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'schemas', schemaFile), 'utf8'))
+  validate(data, schema).forEach(e => report(rel, 'error', e.path, e.message))
+}
+
+function checkPlaceholders(rel, data, profile, report) {
+  walkStrings(data, (value, at) => {
+    for (const [, raw] of value.matchAll(/{{\s*([^}]+?)\s*}}/g)) {
+      // `{{id}}` is filled from youtube_id when building the card
+      if (raw === 'id' && /youtube_embed$/.test(at)) continue
+      const field = PROFILE_PLACEHOLDERS[raw] || raw
+      if (!PROFILE_PLACEHOLDERS[raw] && !(raw in profile)) report(rel, 'error', at, `unresolved placeholder {{${raw}}}`)
+      else if (!profile[field]) report(rel, 'warning', at, `placeholder {{${raw}}} resolves to an empty profile.${field}`)
+    }
+  })
+}
+
+function checkAssets(rel, data, report, level) {
+  walkStrings(data, (value, at) => {
+    if (ASSET_RE.test(value) && !fs.existsSync(path.join(ROOT, value.replace(/^\//, '')))) {
+      report(rel, level, at, `referenced asset ${value} does not exist`)
+    }
+  })
+}
+
+// The video id of a YouTube embed/watch/short URL, or the value itself
+function youtubeIdOf(value) {
+  const m = String(value).match(/(?:\/embed\/|[?&]v=|youtu\.be\/|\/shorts\/)([^?&#/]*)/)
+  return m ? m[1] : String(value)
+}
+
+// youtube_embed (unless an {{id}} template), youtube_id and YouTube media items must name a
+// real video id, or the showcase embeds YouTube's "video unavailable" page
+function checkVideos(rel, data, report) {
+  ;(Array.isArray(data.projects) ? data.projects : []).forEach((p, i) => {
+    if (!p) return
+    const ids = []
+    if (typeof p.youtube_embed === 'string' && p.youtube_embed && !p.youtube_embed.includes('{{id}}')) ids.push(['youtube_embed', youtubeIdOf(p.youtube_embed)])
+    if (typeof p.youtube_id === 'string' && p.youtube_id) ids.push(['youtube_id', p.youtube_id])
+    ;(Array.isArray(p.media) ? p.media : []).forEach((m, j) => {
+      if (m && /^youtube/.test(m.type)) ids.push([`media[${j}]`, m.id || youtubeIdOf(m.src || '')])
+    })
+    ids.filter(([, id]) => !YOUTUBE_ID_RE.test(id)).forEach(([key, id]) => {
+      report(rel, 'error', `projects[${i}].${key}`, `"${id}" is not a YouTube video id (11 letters, digits, - or _)`)
+    })
+  })
+}
+
+function main(args) {
+  const results = []
+  const missingAsset = args.allowMissingAssets ? 'warning' : 'error'
+  const report = (file, level, at, message) => results.push({ file, level, at, message })
+
+  const settings = readJson('settings.json', report)
+  if (settings) checkSchema('settings.json', settings, 'settings.schema.json', report)
+  const profile = readJson('profile.json', report) || {}
+  checkSchema('profile.json', profile, 'profile.schema.json', report)
+  checkAssets('profile.json', profile, report, missingAsset)
+
+  const files = fs.readdirSync(path.join(ROOT, 'content')).filter(f => f.endsWith('.json')).sort()
+  const contents = {}
+  const resumes = {}
+  files.forEach(f => {
+    const rel = `content/${f}`
+    const data = readJson(rel, report)
+    if (!data) return
+    contents[f.replace(/\.json$/, '')] = data
+    checkPlaceholders(rel, data, profile, report)
+    checkAssets(rel, data, report, missingAsset)
+    checkVideos(rel, data, report)
+    // with settings.jsonResume the site renders resume.<lang>.json over the content's CV data
+    const resumeRel = `resume.${f}`
+    if (!settings || !settings.jsonResume || !fs.existsSync(path.join(ROOT, resumeRel))) return
+    const resume = readJson(resumeRel, report)
+    if (!resume) return
+    checkAssets(resumeRel, resume, report, missingAsset)
+    resumes[f.replace(/\.json$/, '')] = fromJsonResume(resume)
+  })
+  const langs = Object.keys(contents)
+  const defaultLang = settings && settings.defaultLanguage
+  if (defaultLang && !contents[defaultLang]) {
+    report('settings.json', 'error', 'defaultLanguage', `content/${defaultLang}.json does not exist`)
+  }
+  // the switcher offers settings.languages: each entry needs a content file, and a content file
+  // missing from the manifest is only reachable through ?lang=
+  const manifest = settings && Array.isArray(settings.languages) ? settings.languages.map(l => l && l.code) : null
+  if (manifest) {
+    manifest.forEach((code, i) => {
+      if (code && !contents[code]) report('settings.json', 'error', `languages[${i}].code`, `content/${code}.json does not exist`)
+    })
+    if (defaultLang && !manifest.includes(defaultLang)) report('settings.json', 'error', 'languages', `defaultLanguage ${defaultLang} is not listed`)
+    langs.filter(l => !manifest.includes(l)).forEach(l => report('settings.json', 'warning', 'languages', `content/${l}.json is not listed in the language switcher`))
+  }
+  // palettes become CSS rules: custom property names only, and the chosen palette must exist
+  if (settings && settings.palettes && typeof settings.palettes === 'object') {
+    Object.keys(settings.palettes).forEach(name => {
+      if (!/^[\w-]+$/.test(name)) report('settings.json', 'error', `palettes.${name}`, 'palette names may only use letters, digits, _ and -')
+      ;['dark', 'light'].forEach(mode => Object.keys((settings.palettes[name] || {})[mode] || {}).forEach(prop => {
+        if (!/^--[\w-]+$/.test(prop)) report('settings.json', 'error', `palettes.${name}.${mode}.${prop}`, 'is not a CSS custom property (--name)')
+      }))
+    })
+  }
+  if (settings && settings.palette && !(settings.palettes || {})[settings.palette]) {
+    report('settings.json', 'error', 'palette', `"${settings.palette}" is not defined in palettes`)
+  }
+  // settings.sections may only name sections registered in render.js
+  if (settings && Array.isArray(settings.sections)) {
+    settings.sections.forEach((entry, i) => {
+      const id = entry && typeof entry === 'object' ? entry.id : entry
+      if (typeof id === 'string' && !SECTIONS.some(s => s.id === id)) report('settings.json', 'error', `sections[${i}]`, `unknown section "${id}" (known: ${SECTIONS.map(s => s.id).join(', ')})`)
+    })
+  }
+  // other languages inherit missing keys from the default one at runtime (mergeContent), so the
+  // schema and index.html checks run against that effective content, resume included
+  const own = l => resumes[l] ? mergeContent(contents[l], resumes[l]).content : contents[l]
+  const effective = {}
+  langs.forEach(l => {
+    effective[l] = (l === defaultLang || !contents[defaultLang]) ? own(l) : mergeContent(own(defaultLang), own(l)).content
+    checkSchema(`content/${l}.json`, effective[l], 'content.schema.json', report)
+  })
+
+  // keys present in one language but missing in another: an error for the default language,
+  // a warning for the others (the text falls back to the default language). Compared without the
+  // resumes, whose lists replace the content's along with fields JSON Resume has no place for
+  const paths = Object.fromEntries(langs.map(l => [l, keyPaths(contents[l])]))
+  const union = new Set(langs.flatMap(l => Array.from(paths[l])))
+  langs.forEach(l => {
+    union.forEach(p => {
+      if (paths[l].has(p)) return
+      const others = langs.filter(o => paths[o].has(p))
+      const inherited = l !== defaultLang && paths[defaultLang] && paths[defaultLang].has(p)
+      report(`content/${l}.json`, inherited ? 'warning' : 'error', p, `missing (present in ${others.join(', ')}${inherited ? `, falls back to ${defaultLang}` : ''})`)
+    })
+  })
+
+  // data-i18n keys used by the pages without a translation
+  ;['index.html', 'cv.html'].forEach(page => {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8')
+    const keys = new Set(Array.from(html.matchAll(/data-i18n="([^"]+)"/g), m => m[1]))
+    langs.forEach(l => keys.forEach(k => {
+      if (!hasKey(effective[l], k)) report(`content/${l}.json`, 'error', k, `used by ${page} (data-i18n) but not translated`)
+    }))
+  })
+
+  // the CV download points at the PDFs scripts/build-cv.js generates
+  langs.forEach(l => {
+    const pdf = cvFileName(profile, l)
+    if (pdf && !(effective[l].download_cv_links || {})[l] && !fs.existsSync(path.join(ROOT, 'files', pdf))) {
+      report(`content/${l}.json`, 'warning', '(cv)', `files/${pdf} does not exist yet (node scripts/build-cv.js)`)
+    }
+  })
+
+  const errors = results.filter(r => r.level === 'error')
+  const warnings = results.filter(r => r.level === 'warning')
+  const byFile = {}
+  results.forEach(r => { (byFile[r.file] = byFile[r.file] || []).push(r) })
+  Object.keys(byFile).sort().forEach(file => {
+    console.log(file)
+    byFile[file].forEach(r => console.log(`  ${r.level.padEnd(7)} ${r.at}: ${r.message}`))
+  })
+  if (errors.length) {
+    console.error(`\n✖ ${errors.length} error(s), ${warnings.length} warning(s)`)
+    process.exitCode = 1
+  } else {
+    console.log(`${results.length ? '\n' : ''}✔ ${langs.length} language(s) checked, ${warnings.length} warning(s)`)
+  }
+}
+
+main(parseArgs(process.argv.slice(2)))
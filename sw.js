@@ -0,0 +1,115 @@
+// Service worker: keeps the site usable offline.
+// - the shell (pages, styles, scripts, assets, CV PDFs) is precached per CACHE_VERSION;
+//   scripts/build.js rewrites CACHE_VERSION and PRECACHE_URLS for dist/ (all language pages,
+//   a hash of the files), so every deploy installs a fresh shell
+// - settings.json, profile.json, repos.json, images.json, resume.*.json and content/*.json are
+//   served stale-while-revalidate from a cache that survives shell updates, so a language fetched
+//   once also works offline; when a revalidated content file has a new meta.last_updated the pages
+//   get a 'content-updated' message
+// - navigations go to the network first and fall back to the cached page
+// - other files come from the shell cache first; the un-built repository (CACHE_VERSION 'dev')
+//   fetches them from the network first too, so edits show up on reload during development
+const CACHE_VERSION = 'dev'
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'render.js',
+  'script.js',
+  'cv.html',
+  'cv.js',
+  'manifest.webmanifest',
+  'assets/favicon.svg',
+  'assets/profile.svg',
+  'assets/profile.jpg',
+  'files/Adam_Ropelewski_CV_EN.pdf',
+  'files/Adam_Ropelewski_CV_PL.pdf'
+]
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`
+const CONTENT_CACHE = 'portfolio-content'
+const CONTENT_RE = /\/(settings\.json|profile\.json|repos\.json|images\.json|resume\.[^/]+\.json|content\/[^/]+\.json)$/
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // one missing file (e.g. a CV not generated yet) must not abort the whole install
+      .then(cache => Promise.all(PRECACHE_URLS.map(url => cache.add(url).catch(err => console.warn('precache failed', url, err)))))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('portfolio-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+async function lastUpdated(response) {
+  try {
+    const data = await response.clone().json()
+    return (data && data.meta && data.meta.last_updated) || ''
+  } catch (err) {
+    return ''
+  }
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' })
+  clients.forEach(client => client.postMessage(message))
+}
+
+// Answer from the cache right away and refresh it in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CONTENT_CACHE)
+  const key = new URL(event.request.url)
+  key.search = ''
+  const cached = await cache.match(key.href)
+  const refresh = fetch(event.request).then(async response => {
+    if (!response.ok) return response
+    const [before, after] = cached ? await Promise.all([lastUpdated(cached), lastUpdated(response)]) : ['', '']
+    await cache.put(key.href, response.clone())
+    // only after the cache holds the new file, so a reload picks it up
+    if (cached && after && before !== after) notifyClients({ type: 'content-updated', url: key.pathname, lastUpdated: after })
+    return response
+  })
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+  return refresh
+}
+
+// The cached copy only when the network fails; `fallback` is tried when the request has none
+async function networkFirst(request, fallback) {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) await cache.put(request, response.clone())
+    return response
+  } catch (err) {
+    return (await cache.match(request, { ignoreSearch: true })) || (fallback && await cache.match(fallback)) || Response.error()
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true })
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  // third-party embeds, thumbnails and the like are left to the browser
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+  if (CONTENT_RE.test(url.pathname)) return event.respondWith(staleWhileRevalidate(event))
+  if (request.mode === 'navigate') return event.respondWith(networkFirst(request, './'))
+  event.respondWith(CACHE_VERSION === 'dev' ? networkFirst(request) : cacheFirst(request))
+})
@@ -0,0 +1,71 @@
+// scripts/fetch-repos.js offline: the API responses and the content's repo_links come from
+// scripts/fixtures/github/, repos.json goes to a temporary directory.
+//
+// Usage: node --test test/
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { fetchRepos } = require('../scripts/fetch-repos.js')
+
+const FIXTURES = path.resolve(__dirname, '../scripts/fixtures/github')
+
+// fetchRepos() into a fresh directory, optionally over a previous repos.json; quiet while it runs
+async function run(previous) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-repos-'))
+  const out = path.join(dir, 'repos.json')
+  if (previous) fs.writeFileSync(out, JSON.stringify({ generated: '2026-01-01T00:00:00.000Z', repos: previous }))
+  const { log, warn } = console
+  const warnings = []
+  console.log = () => {}
+  console.warn = message => warnings.push(message)
+  try {
+    await fetchRepos({ fixtures: FIXTURES, content: path.join(FIXTURES, 'content'), out })
+    return { data: JSON.parse(fs.readFileSync(out, 'utf8')), warnings }
+  } finally {
+    console.log = log
+    console.warn = warn
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('writes stars, push date, top languages and the latest release per linked repository', async () => {
+  const { data } = await run()
+  assert.ok(!Number.isNaN(Date.parse(data.generated)))
+  assert.deepStrictEqual(data.repos['example/alpha'], {
+    url: 'https://github.com/example/alpha',
+    stars: 42,
+    pushed_at: '2026-09-30T12:00:00Z',
+    archived: false,
+    languages: [{ name: 'Python', share: 70 }, { name: 'TypeScript', share: 20 }, { name: 'Shell', share: 6 }],
+    release: { tag: 'v1.2.0', name: 'Alpha 1.2', url: 'https://github.com/example/alpha/releases/tag/v1.2.0', published_at: '2026-09-01T08:00:00Z' }
+  })
+})
+
+test('falls back to the main language and no release when the API has neither', async () => {
+  const { data } = await run()
+  const beta = data.repos['example/beta']
+  assert.strictEqual(beta.archived, true)
+  assert.deepStrictEqual(beta.languages, [{ name: 'C#', share: 100 }])
+  assert.strictEqual(beta.release, null)
+})
+
+test('collects repo_links from every language and skips other hosts', async () => {
+  const { data, warnings } = await run()
+  assert.deepStrictEqual(Object.keys(data.repos).sort(), ['example/alpha', 'example/beta'])
+  // example/gone (en) and example/fresh (pl) are linked but unknown to the API
+  assert.strictEqual(warnings.length, 2)
+  assert.ok(warnings.every(w => /repository not found/.test(w)))
+})
+
+test('a repository that fails keeps its previous entry', async () => {
+  const gone = { url: 'https://github.com/example/gone', stars: 7, pushed_at: '2025-05-05T00:00:00Z', archived: false, languages: [], release: null }
+  const stale = { ...gone, url: 'https://github.com/example/alpha', stars: 1 }
+  const { data, warnings } = await run({ 'example/gone': gone, 'example/alpha': stale })
+  assert.deepStrictEqual(data.repos['example/gone'], gone)
+  // refreshed repositories replace what was there, failing ones without previous data stay out
+  assert.strictEqual(data.repos['example/alpha'].stars, 42)
+  assert.ok(!('example/fresh' in data.repos))
+  assert.ok(warnings.some(w => /example\/gone.*keeping the previous data/.test(w)))
+})
@@ -0,0 +1,315 @@
+// The page under jsdom: index.html runs render.js and script.js against the repo's data files,
+// and the tests drive it through window.Portfolio, its portfolio:* events and the URL.
+// Needs jsdom, any version from 22 on (`npm install --no-save jsdom`); skipped without it.
+//
+// Usage: node --test test/
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+
+const ROOT = path.resolve(__dirname, '..')
+let jsdom = null
+try {
+  jsdom = require('jsdom')
+} catch (err) {
+  // reported as skipped below
+}
+
+function repoFile(url) {
+  const file = path.join(ROOT, decodeURIComponent(new URL(url).pathname))
+  return fs.existsSync(file) && fs.statSync(file).isFile() ? file : ''
+}
+
+// A page with its local scripts inline: jsdom then needs no resource loader, whose API changes
+// between versions. `</script` in the sources is escaped so the HTML parser reads on
+function pageHtml(page) {
+  return fs.readFileSync(path.join(ROOT, page), 'utf8').replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => {
+    const file = repoFile(new URL(src, 'http://localhost/').href)
+    return file ? `<script>${fs.readFileSync(file, 'utf8').replace(/<\/script/gi, '<\\/script')}</script>` : tag
+  })
+}
+
+// index.html (or `page`) at `url` with its scripts and fetch() served from the repo; `setup(window)`
+// runs before the page's scripts. Resolves once script.js has defined window.Portfolio.
+function loadPage(setup = () => {}, url = 'http://localhost/', page = 'index.html') {
+  const events = []
+  const dom = new jsdom.JSDOM(pageHtml(page), {
+    url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    // media playback and the like are not implemented in jsdom
+    virtualConsole: new jsdom.VirtualConsole(),
+    beforeParse(window) {
+      window.fetch = async url => {
+        const file = repoFile(new URL(url, window.location.href).href)
+        const body = file ? fs.readFileSync(file, 'utf8') : ''
+        return { ok: !!file, status: file ? 200 : 404, json: async () => JSON.parse(body), text: async () => body }
+      }
+      window.matchMedia = media => ({ matches: false, media, addEventListener() {}, removeEventListener() {}, addListener() {} })
+      window.HTMLElement.prototype.scrollIntoView = () => {}
+      ;['ready', 'languagechange', 'projectselect', 'cvdownload'].forEach(name => {
+        // copied out of the window's realm, so deepStrictEqual compares plain objects
+        window.document.addEventListener(`portfolio:${name}`, e => events.push({ name, detail: { ...e.detail } }))
+      })
+      setup(window)
+    }
+  })
+  return new Promise(resolve => dom.window.addEventListener('load', () => resolve({ window: dom.window, events })))
+}
+
+// resolves once `check()` holds, for pages without a ready promise
+async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20))
+  assert.ok(check())
+}
+
+const options = { skip: !jsdom && 'jsdom is not installed', timeout: 20000 }
+
+test('Portfolio.ready resolves after the first render and portfolio:ready follows', options, async () => {
+  const { window, events } = await loadPage()
+  try {
+    assert.strictEqual(await window.Portfolio.ready, window.Portfolio)
+    assert.deepStrictEqual(events.filter(e => e.name === 'ready').map(e => e.detail), [{ lang: 'en' }])
+    const content = window.Portfolio.getContent()
+    assert.strictEqual(content.lang, 'en')
+    assert.ok(content.projects.length > 1)
+    assert.strictEqual(window.document.querySelectorAll('.project-card').length, content.projects.length)
+    // a copy: changing it leaves the page alone
+    content.projects.length = 0
+    assert.ok(window.Portfolio.getContent().projects.length > 1)
+  } finally {
+    window.close()
+  }
+})
+
+test('selectProject() shows a project and emits portfolio:projectselect', options, async () => {
+  const { window, events } = await loadPage()
+  try {
+    await window.Portfolio.ready
+    const project = window.Portfolio.getContent().projects[1]
+    assert.strictEqual(window.Portfolio.selectProject(project.project_id), true)
+    assert.strictEqual(window.document.querySelector('.project-card.active').dataset.projectId, project.project_id)
+    const selected = events.filter(e => e.name === 'projectselect').pop()
+    assert.strictEqual(selected.detail.id, project.project_id)
+    assert.strictEqual(selected.detail.project.title, project.title)
+    assert.strictEqual(window.Portfolio.selectProject('no-such-project'), false)
+  } finally {
+    window.close()
+  }
+})
+
+test('setLanguage() re-renders, emits portfolio:languagechange and re-runs plugins', options, async () => {
+  const { window, events } = await loadPage()
+  try {
+    await window.Portfolio.ready
+    const runs = []
+    assert.strictEqual(window.Portfolio.use((api, { lang }) => runs.push({ api, lang })), window.Portfolio)
+    // the page is rendered already, so the plugin runs right away
+    assert.deepStrictEqual(runs.map(r => r.lang), ['en'])
+    assert.strictEqual(runs[0].api, window.Portfolio)
+    window.Portfolio.use({ afterRender(api, { lang }) { runs.push({ lang: `object:${lang}` }) } })
+
+    await window.Portfolio.setLanguage('pl')
+    assert.deepStrictEqual(events.filter(e => e.name === 'languagechange').map(e => e.detail), [{ lang: 'pl', previous: 'en' }])
+    assert.strictEqual(window.document.documentElement.lang, 'pl')
+    assert.strictEqual(window.Portfolio.getContent().lang, 'pl')
+    assert.deepStrictEqual(runs.map(r => r.lang), ['en', 'object:en', 'pl', 'object:pl'])
+  } finally {
+    window.close()
+  }
+})
+
+test('use() rejects anything but a function or an afterRender object', options, async () => {
+  const { window } = await loadPage()
+  try {
+    await window.Portfolio.ready
+    assert.throws(() => window.Portfolio.use({}), window.TypeError)
+    assert.throws(() => window.Portfolio.use(null), window.TypeError)
+  } finally {
+    window.close()
+  }
+})
+
+test('a failing plugin does not stop the others', options, async () => {
+  const { window } = await loadPage(w => {
+    w.console.warn = () => {}
+  })
+  try {
+    await window.Portfolio.ready
+    const runs = []
+    window.Portfolio.use(() => { throw new Error('broken plugin') })
+    window.Portfolio.use((api, { lang }) => runs.push(lang))
+    await window.Portfolio.setLanguage('pl')
+    assert.deepStrictEqual(runs, ['en', 'pl'])
+  } finally {
+    window.close()
+  }
+})
+
+test('setTheme() accepts the theme modes only', options, async () => {
+  const { window } = await loadPage()
+  try {
+    await window.Portfolio.ready
+    assert.strictEqual(window.Portfolio.setTheme('light'), true)
+    assert.strictEqual(window.document.documentElement.classList.contains('light'), true)
+    assert.strictEqual(window.Portfolio.setTheme('sepia'), false)
+    assert.strictEqual(window.document.documentElement.classList.contains('light'), true)
+  } finally {
+    window.close()
+  }
+})
+
+test('Portfolio.ready rejects when the page fails to start', options, async () => {
+  const { window, events } = await loadPage(w => {
+    w.console.error = () => {}
+    // storage that throws on access (e.g. blocked by the browser) breaks startup
+    Object.defineProperty(w, 'localStorage', { get() { throw new Error('storage disabled') } })
+  })
+  try {
+    await assert.rejects(window.Portfolio.ready, /storage disabled/)
+    assert.strictEqual(events.some(e => e.name === 'ready'), false)
+    assert.strictEqual(window.document.body.hasAttribute('aria-busy'), false)
+  } finally {
+    window.close()
+  }
+})
+
+test('a malformed route hash still renders the page', options, async () => {
+  const { window } = await loadPage(undefined, 'http://localhost/#/projects/100%')
+  try {
+    await window.Portfolio.ready
+    assert.ok(window.document.querySelectorAll('.project-card').length > 1)
+    assert.ok(window.document.querySelector('.project-card.active'))
+  } finally {
+    window.close()
+  }
+})
+
+test('a project link clears the filters that hide it', options, async () => {
+  const { window } = await loadPage(undefined, 'http://localhost/?tags=WPF#/projects/kronos_live')
+  try {
+    await window.Portfolio.ready
+    const card = window.document.querySelector('.project-card.active')
+    assert.strictEqual(card.dataset.projectId, 'kronos_live')
+    assert.strictEqual(card.hidden, false)
+    assert.strictEqual(window.location.search, '')
+  } finally {
+    window.close()
+  }
+})
+
+test('selectProject() reveals a project hidden by the filters', options, async () => {
+  const { window } = await loadPage(undefined, 'http://localhost/?q=hearing')
+  try {
+    await window.Portfolio.ready
+    assert.strictEqual(window.document.querySelector('.project-card.active').dataset.projectId, 'hearing_asymmetry_checker')
+    assert.strictEqual(window.Portfolio.selectProject('kronos_live'), true)
+    assert.strictEqual(window.document.querySelector('.project-card[data-project-id="kronos_live"]').hidden, false)
+    assert.strictEqual(window.document.querySelector('#projectSearch').value, '')
+  } finally {
+    window.close()
+  }
+})
+
+test('the sort select offers newest and featured for the content projects', options, async () => {
+  const { window } = await loadPage(undefined, 'http://localhost/?sort=newest')
+  try {
+    await window.Portfolio.ready
+    const select = window.document.querySelector('#projectSort')
+    assert.strictEqual(select.hidden, false)
+    assert.deepStrictEqual(Array.from(select.options).filter(o => !o.hidden).map(o => o.value), ['', 'newest', 'featured'])
+    assert.strictEqual(select.value, 'newest')
+    const byDate = Array.from(window.Portfolio.getContent().projects).sort((a, b) => b.date.localeCompare(a.date)).map(p => p.project_id)
+    const order = () => Array.from(window.document.querySelectorAll('.projects-grid .project-card')).map(c => c.dataset.projectId)
+    assert.deepStrictEqual(order(), byDate)
+
+    select.value = 'featured'
+    select.dispatchEvent(new window.Event('change', { bubbles: true }))
+    assert.strictEqual(new window.URLSearchParams(window.location.search).get('sort'), 'featured')
+    const featured = order().map(id => window.Portfolio.getContent().projects.find(p => p.project_id === id).featured === true)
+    assert.ok(featured[0])
+    assert.deepStrictEqual(featured, featured.slice().sort((a, b) => b - a))
+  } finally {
+    window.close()
+  }
+})
+
+test('a tech chip on a card jumps to its skill without links inside the tab', options, async () => {
+  const { window } = await loadPage()
+  try {
+    await window.Portfolio.ready
+    const cards = Array.from(window.document.querySelectorAll('.project-card'))
+    assert.strictEqual(cards.some(c => c.querySelector('a, button, [tabindex]')), false)
+    const chip = window.document.querySelector('.project-card:not(.active) .tech-chip[data-skill]')
+    assert.ok(chip, 'an unselected card has a chip covered by a skill')
+    chip.click()
+    const skill = window.document.getElementById(`skill-${chip.dataset.skill}`)
+    assert.ok(skill.contains(window.document.activeElement))
+    assert.strictEqual(chip.closest('.project-card').classList.contains('active'), false)
+  } finally {
+    window.close()
+  }
+})
+
+test('the profile photo renders as a <picture> with its images.json variants', options, async () => {
+  const entry = { width: 400, height: 400, srcset: { webp: '/images/responsive/profile-320.webp 320w, /images/responsive/profile-400.webp 400w' }, placeholder: 'data:image/webp;base64,AAAA' }
+  const { window } = await loadPage(w => {
+    const fetch = w.fetch
+    w.fetch = async url => /images\.json$/.test(url)
+      ? { ok: true, status: 200, json: async () => ({ images: { 'assets/profile.jpg': entry } }) }
+      : fetch(url)
+  })
+  try {
+    await window.Portfolio.ready
+    const picture = window.document.querySelector('.profile-card picture.profile-photo')
+    assert.ok(picture)
+    assert.strictEqual(picture.querySelector('source[type="image/webp"]').getAttribute('srcset'), entry.srcset.webp)
+    const img = picture.querySelector('img.profile-pic')
+    assert.strictEqual(img.getAttribute('src'), JSON.parse(fs.readFileSync(path.join(ROOT, 'content/en.json'), 'utf8')).profile_photo)
+    assert.strictEqual(img.getAttribute('width'), '400')
+    assert.strictEqual(img.getAttribute('loading'), 'lazy')
+  } finally {
+    window.close()
+  }
+})
+
+test('a YouTube item requests nothing from YouTube before the visitor consents', options, async () => {
+  const { window } = await loadPage()
+  try {
+    await window.Portfolio.ready
+    const project = window.Portfolio.getContent().projects.find(p => (p.media || []).some(m => m.type === 'youtube'))
+    assert.ok(project, 'content has a project with a YouTube media item')
+    window.Portfolio.selectProject(project.project_id)
+    const facade = window.document.querySelector('.media-facade')
+    assert.strictEqual(facade.classList.contains('hidden'), false)
+    // the markup only: the inlined scripts name the providers
+    const page = window.document.documentElement.cloneNode(true)
+    page.querySelectorAll('script').forEach(script => script.remove())
+    assert.ok(!/youtube|ytimg/.test(page.outerHTML))
+    if (project.image) assert.ok(facade.style.backgroundImage.includes(project.image))
+  } finally {
+    window.close()
+  }
+})
+
+test('cv.html shows resume.<lang>.json like the site when settings.jsonResume is on', options, async () => {
+  const resume = { basics: { name: 'Resume Name' }, work: [{ name: 'Resume Corp', position: 'Resume Engineer', startDate: '2021-03' }] }
+  const { window } = await loadPage(w => {
+    const fetch = w.fetch
+    w.fetch = async url => {
+      if (/resume\.en\.json$/.test(url)) return { ok: true, status: 200, json: async () => resume }
+      const res = await fetch(url)
+      if (!/settings\.json$/.test(url)) return res
+      const settings = await res.json()
+      return { ...res, json: async () => ({ ...settings, jsonResume: true }) }
+    }
+  }, 'http://localhost/cv.html?lang=en', 'cv.html')
+  try {
+    const cv = window.document.getElementById('cv')
+    await until(() => cv.textContent.includes('Resume Corp'))
+    assert.ok(cv.textContent.includes('Resume Engineer'))
+  } finally {
+    window.close()
+  }
+})
@@ -0,0 +1,100 @@
+// sw.js in a vm context with an in-memory Cache Storage and a stubbed network: the shell
+// strategy of the un-built repository (CACHE_VERSION 'dev') against a built worker.
+//
+// Usage: node --test test/
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+const SOURCE = fs.readFileSync(path.resolve(__dirname, '../sw.js'), 'utf8')
+const ORIGIN = 'http://localhost'
+
+function cacheKey(request, ignoreSearch) {
+  const url = new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`)
+  if (ignoreSearch) url.search = ''
+  return url.href
+}
+
+function cacheStorage() {
+  const stores = new Map()
+  const open = async name => {
+    if (!stores.has(name)) {
+      const entries = new Map()
+      stores.set(name, {
+        entries,
+        match: async (request, opts = {}) => {
+          const key = cacheKey(request, opts.ignoreSearch)
+          const found = Array.from(entries.keys()).find(k => (opts.ignoreSearch ? cacheKey(k, true) : k) === key)
+          return found ? entries.get(found).clone() : undefined
+        },
+        put: async (request, response) => { entries.set(cacheKey(request), response) },
+        add: async () => {}
+      })
+    }
+    return stores.get(name)
+  }
+  return {
+    open,
+    keys: async () => Array.from(stores.keys()),
+    delete: async name => stores.delete(name),
+    match: async (request, opts) => {
+      for (const name of stores.keys()) {
+        const found = await (await open(name)).match(request, opts)
+        if (found) return found
+      }
+      return undefined
+    }
+  }
+}
+
+// The worker with `version` as its CACHE_VERSION (as scripts/build.js writes it) and `network`
+// answering its fetch() calls; resolves fetch events to their response text
+function loadWorker(version, network) {
+  const listeners = {}
+  const caches = cacheStorage()
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, fn) => { listeners[type] = fn },
+    skipWaiting: async () => {},
+    clients: { claim: async () => {}, matchAll: async () => [] }
+  }
+  const source = SOURCE.replace(/const CACHE_VERSION = '[^']*'/, `const CACHE_VERSION = '${version}'`)
+  vm.runInNewContext(source, { self, caches, fetch: network, URL, Response, console, Promise })
+  async function request(pathname) {
+    let response = null
+    listeners.fetch({
+      request: { url: `${ORIGIN}${pathname}`, method: 'GET', mode: 'no-cors' },
+      respondWith: r => { response = r },
+      waitUntil: () => {}
+    })
+    const res = await response
+    return res.text()
+  }
+  return { caches, request, shell: `portfolio-shell-${version}` }
+}
+
+async function cached(worker, pathname, body) {
+  await (await worker.caches.open(worker.shell)).put(`${ORIGIN}${pathname}`, new Response(body))
+}
+
+test('the un-built worker fetches the shell from the network first', async () => {
+  const worker = loadWorker('dev', async () => new Response('edited'))
+  await cached(worker, '/script.js', 'stale')
+  assert.strictEqual(await worker.request('/script.js'), 'edited')
+})
+
+test('the un-built worker falls back to the cached shell offline', async () => {
+  const worker = loadWorker('dev', async () => { throw new TypeError('offline') })
+  await cached(worker, '/styles.css', 'cached')
+  assert.strictEqual(await worker.request('/styles.css'), 'cached')
+})
+
+test('a built worker serves its precached shell without the network', async () => {
+  let fetched = 0
+  const worker = loadWorker('0123456789ab', async () => { fetched++; return new Response('network') })
+  await cached(worker, '/render.js', 'precached')
+  assert.strictEqual(await worker.request('/render.js'), 'precached')
+  assert.strictEqual(fetched, 0)
+})